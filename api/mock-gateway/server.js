@@ -0,0 +1,234 @@
+import express from 'express';
+import dotenv from 'dotenv';
+import { trace, context, ROOT_CONTEXT } from '@opentelemetry/api';
+import { createEvent, deliverWebhook } from '../src/services/webhooks.js';
+
+dotenv.config();
+
+/**
+ * Mock payment gateway
+ * A tiny standalone Express service the API calls when PAYMENT_GATEWAY=http.
+ * Run it with the same instrumentation as the API (npm run gateway:start) and
+ * its spans join the API's traces through the propagated traceparent header.
+ *
+ *   POST /v1/charges               - charge (402 on decline); with a webhookUrl
+ *                                    it answers 202 and reports the outcome
+ *                                    by signed webhook (PAYMENT_WEBHOOK_SECRET)
+ *   GET  /v1/charges/:id           - look up a charge
+ *   GET  /v1/charges?idempotencyKey= - the charge created with that key (404 if none)
+ *   POST /v1/charges/:id/refunds   - refund a charge
+ *
+ * Both POSTs honour an Idempotency-Key header: a repeated key gets the
+ * first response back, so the API can retry after a timeout safely.
+ */
+
+const PORT = process.env.MOCK_GATEWAY_PORT || 4000;
+const DECLINE_RATE = parseFloat(process.env.MOCK_GATEWAY_DECLINE_RATE || '0.1');
+// Share of charges answered with a 503, to exercise the API's retries and breaker
+const ERROR_RATE = parseFloat(process.env.MOCK_GATEWAY_ERROR_RATE || '0');
+const DECLINE_REASONS = ['insufficient_funds', 'card_declined', 'expired_card', 'invalid_cvv'];
+
+// Charges and idempotent responses live in memory for the lifetime of the process
+const charges = new Map();
+const idempotentResponses = new Map();
+
+const app = express();
+app.use(express.json());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+}
+
+/**
+ * Replay the stored response for a repeated Idempotency-Key, if any
+ */
+function replayIdempotent(req, res) {
+  const key = req.get('Idempotency-Key');
+  const stored = key && idempotentResponses.get(key);
+
+  if (!stored) {
+    return false;
+  }
+
+  annotate({ 'gateway.idempotency_key': key, 'gateway.idempotent_replay': true });
+  res.status(stored.status).json(stored.body);
+  return true;
+}
+
+function rememberIdempotent(req, status, body) {
+  const key = req.get('Idempotency-Key');
+  if (key) {
+    idempotentResponses.set(key, { status, body });
+  }
+}
+
+/**
+ * Decide a pending charge and POST the signed outcome to its webhook URL
+ * Runs in a fresh trace, like a real gateway's background worker.
+ */
+function settleLater(charge, webhookUrl) {
+  context.with(ROOT_CONTEXT, () => {
+    setTimeout(async () => {
+      const declined = Math.random() < DECLINE_RATE;
+      const reason = declined
+        ? DECLINE_REASONS[Math.floor(Math.random() * DECLINE_REASONS.length)]
+        : undefined;
+
+      charge.status = declined ? 'declined' : 'captured';
+
+      const event = createEvent(declined ? 'payment.failed' : 'payment.succeeded', {
+        transactionId: charge.id,
+        orderId: charge.orderId,
+        amount: charge.amount,
+        ...(reason && { reason }),
+      });
+
+      const delivery = await deliverWebhook(webhookUrl, event, process.env.PAYMENT_WEBHOOK_SECRET);
+      console.log(
+        `${delivery.delivered ? '📨' : '⚠️ '} ${event.type} for ${charge.id} ` +
+          `(${delivery.delivered ? 'delivered' : 'not delivered'} after ${delivery.attempts} attempt(s))`
+      );
+    }, 500 + Math.random() * 1000);
+  });
+}
+
+function annotate(attributes) {
+  const span = trace.getActiveSpan();
+  if (span) {
+    span.setAttributes(attributes);
+  }
+}
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'healthy', charges: charges.size });
+});
+
+app.post('/v1/charges', async (req, res) => {
+  if (replayIdempotent(req, res)) {
+    return;
+  }
+
+  const { orderId, amount, currency = 'USD', method, webhookUrl } = req.body;
+
+  if (typeof amount !== 'number' || amount <= 0 || !method) {
+    return res.status(400).json({
+      error: { message: 'amount (positive number) and method are required' },
+    });
+  }
+
+  // Simulate processing time
+  await sleep(100 + Math.random() * 400);
+
+  annotate({
+    'gateway.order_id': orderId,
+    'gateway.amount': amount,
+    'gateway.method': method,
+    'gateway.traceparent_received': Boolean(req.get('traceparent')),
+  });
+
+  if (Math.random() < ERROR_RATE) {
+    annotate({ 'gateway.outcome': 'unavailable' });
+    return res.status(503).json({ error: { message: 'Gateway temporarily unavailable' } });
+  }
+
+  if (webhookUrl) {
+    const pending = {
+      id: generateId('txn'),
+      orderId,
+      amount,
+      currency,
+      method,
+      status: 'pending',
+      refunds: [],
+      createdAt: new Date().toISOString(),
+    };
+    charges.set(pending.id, pending);
+    settleLater(pending, webhookUrl);
+
+    annotate({ 'gateway.outcome': 'pending', 'gateway.transaction_id': pending.id });
+    rememberIdempotent(req, 202, pending);
+    return res.status(202).json(pending);
+  }
+
+  if (Math.random() < DECLINE_RATE) {
+    const reason = DECLINE_REASONS[Math.floor(Math.random() * DECLINE_REASONS.length)];
+    annotate({ 'gateway.outcome': 'declined', 'gateway.decline_reason': reason });
+
+    const declined = { error: { message: `Charge declined: ${reason}`, reason } };
+    rememberIdempotent(req, 402, declined);
+    return res.status(402).json(declined);
+  }
+
+  const charge = {
+    id: generateId('txn'),
+    orderId,
+    amount,
+    currency,
+    method,
+    status: 'captured',
+    refunds: [],
+    createdAt: new Date().toISOString(),
+  };
+  charges.set(charge.id, charge);
+
+  annotate({ 'gateway.outcome': 'captured', 'gateway.transaction_id': charge.id });
+  rememberIdempotent(req, 201, charge);
+  res.status(201).json(charge);
+});
+
+app.get('/v1/charges', (req, res) => {
+  const stored = idempotentResponses.get(req.query.idempotencyKey);
+  const charge = stored && charges.get(stored.body.id);
+
+  if (!charge) {
+    return res.status(404).json({ error: { message: 'No charge for that idempotency key' } });
+  }
+
+  res.json(charge);
+});
+
+app.get('/v1/charges/:id', (req, res) => {
+  const charge = charges.get(req.params.id);
+
+  if (!charge) {
+    return res.status(404).json({ error: { message: `Charge ${req.params.id} not found` } });
+  }
+
+  res.json(charge);
+});
+
+app.post('/v1/charges/:id/refunds', async (req, res) => {
+  if (replayIdempotent(req, res)) {
+    return;
+  }
+
+  const charge = charges.get(req.params.id);
+
+  if (!charge) {
+    return res.status(404).json({ error: { message: `Charge ${req.params.id} not found` } });
+  }
+
+  await sleep(200 + Math.random() * 300);
+
+  const refund = {
+    id: generateId('ref'),
+    chargeId: charge.id,
+    amount: req.body.amount ?? charge.amount,
+    createdAt: new Date().toISOString(),
+  };
+
+  charge.refunds.push(refund);
+  charge.status = 'refunded';
+
+  annotate({ 'gateway.transaction_id': charge.id, 'gateway.refund_id': refund.id });
+  rememberIdempotent(req, 201, refund);
+  res.status(201).json(refund);
+});
+
+app.listen(PORT, () => {
+  console.log(`💳 Mock payment gateway listening on port ${PORT}`);
+  console.log(`   Decline rate: ${(DECLINE_RATE * 100).toFixed(0)}%`);
+  console.log(`   Error rate:   ${(ERROR_RATE * 100).toFixed(0)}%`);
+});
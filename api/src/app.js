@@ -2,12 +2,23 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { initializeRedis } from './services/cache.js';
+import { recoverInterruptedOrders } from './services/orderSaga.js';
+import { releaseExpiredHolds } from './services/inventory.js';
+import { purgeExpiredCarts } from './services/carts.js';
+import { retryPendingRefunds } from './services/refunds.js';
+import { loadConfigFromEnv as loadFaultConfig } from './services/faultInjection.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 
 // Import routes
 import healthRouter from './routes/health.js';
 import productsRouter from './routes/products.js';
+import categoriesRouter from './routes/categories.js';
 import ordersRouter from './routes/orders.js';
+import couponsRouter from './routes/coupons.js';
+import cartsRouter from './routes/carts.js';
+import inventoryRouter from './routes/inventory.js';
+import adminRouter from './routes/admin.js';
+import webhooksRouter from './routes/webhooks.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,7 +32,12 @@ app.use(cors({
 }));
 
 // Middleware
-app.use(express.json());
+// Keep the raw body around for webhook signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware (simple)
@@ -45,14 +61,58 @@ app.get('/', (req, res) => {
     endpoints: {
       health: 'GET /health',
       products: {
-        list: 'GET /api/products',
+        list: 'GET /api/products?limit=&cursor=&sort=&order=&minPrice=&maxPrice=&inStock=&category=&tag=',
         getById: 'GET /api/products/:id',
-        search: 'GET /api/products/search?q=query',
+        search: 'GET /api/products/search/query?q=&limit=&offset=',
+        suggest: 'GET /api/products/suggest?q=&limit=',
+        create: 'POST /api/products',
+        replace: 'PUT /api/products/:id',
+        update: 'PATCH /api/products/:id',
+        delete: 'DELETE /api/products/:id',
+        reviews: 'GET /api/products/:id/reviews?limit=&offset=',
+        postReview: 'POST /api/products/:id/reviews',
+      },
+      categories: {
+        tree: 'GET /api/categories',
       },
       orders: {
         create: 'POST /api/orders',
+        quote: 'POST /api/orders/quote',
         getById: 'GET /api/orders/:id',
         getByUser: 'GET /api/orders/user/:userId',
+        cancel: 'POST /api/orders/:id/cancel',
+        updateStatus: 'PATCH /api/orders/:id/status',
+      },
+      carts: {
+        create: 'POST /api/carts',
+        get: 'GET /api/carts/:cartId',
+        addItem: 'POST /api/carts/:cartId/items',
+        updateItem: 'PATCH /api/carts/:cartId/items/:productId',
+        removeItem: 'DELETE /api/carts/:cartId/items/:productId',
+      },
+      coupons: {
+        list: 'GET /api/coupons',
+        getById: 'GET /api/coupons/:id',
+        create: 'POST /api/coupons',
+        update: 'PATCH /api/coupons/:id',
+        delete: 'DELETE /api/coupons/:id',
+      },
+      inventory: {
+        createHold: 'POST /api/inventory/holds',
+        getHold: 'GET /api/inventory/holds/:id',
+        releaseHold: 'DELETE /api/inventory/holds/:id',
+        getLevel: 'GET /api/inventory/:productId',
+        adjust: 'POST /api/inventory/:productId/adjust',
+        setThreshold: 'PUT /api/inventory/:productId/threshold',
+        lowStock: 'GET /api/inventory/low-stock',
+      },
+      webhooks: {
+        payment: 'POST /api/webhooks/payment',
+      },
+      admin: {
+        getFaults: 'GET /api/admin/faults',
+        setFaults: 'PUT /api/admin/faults',
+        resetFaults: 'DELETE /api/admin/faults',
       },
     },
   });
@@ -60,12 +120,79 @@ app.get('/', (req, res) => {
 
 app.use('/health', healthRouter);
 app.use('/api/products', productsRouter);
+app.use('/api/categories', categoriesRouter);
 app.use('/api/orders', ordersRouter);
+app.use('/api/carts', cartsRouter);
+app.use('/api/coupons', couponsRouter);
+app.use('/api/inventory', inventoryRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/admin', adminRouter);
 
 // Error handling
 app.use(notFoundHandler);
 app.use(errorHandler);
 
+const SAGA_RECOVERY_INTERVAL_MS = 60000;
+const HOLD_SWEEP_INTERVAL_MS = 30000;
+const CART_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const REFUND_RETRY_INTERVAL_MS = 60000;
+
+/**
+ * Run order saga recovery without letting a database outage block startup
+ */
+async function runSagaRecovery() {
+  try {
+    const summary = await recoverInterruptedOrders();
+    if (summary.found > 0) {
+      console.log(`♻️  Order recovery: ${summary.confirmed} confirmed, ${summary.compensated} rolled back`);
+    }
+  } catch (error) {
+    console.warn('⚠️  Order saga recovery failed:', error.message);
+  }
+}
+
+/**
+ * Return stock from expired inventory holds
+ */
+async function runHoldSweep() {
+  try {
+    const { released } = await releaseExpiredHolds();
+    if (released > 0) {
+      console.log(`⏳ Released ${released} expired inventory hold(s)`);
+    }
+  } catch (error) {
+    console.warn('⚠️  Inventory hold sweep failed:', error.message);
+  }
+}
+
+/**
+ * Finish refunds for cancelled orders whose gateway call failed
+ */
+async function runRefundRetry() {
+  try {
+    const summary = await retryPendingRefunds();
+    if (summary.found > 0) {
+      console.log(`💸 Refund retry: ${summary.refunded} refunded, ${summary.failed} still pending`);
+    }
+  } catch (error) {
+    console.warn('⚠️  Refund retry failed:', error.message);
+  }
+}
+
+/**
+ * Delete carts that expired long ago
+ */
+async function runCartPurge() {
+  try {
+    const { purged } = await purgeExpiredCarts();
+    if (purged > 0) {
+      console.log(`🛒 Purged ${purged} expired cart(s)`);
+    }
+  } catch (error) {
+    console.warn('⚠️  Cart purge failed:', error.message);
+  }
+}
+
 // Initialize services
 export async function initializeApp() {
   try {
@@ -74,6 +201,23 @@ export async function initializeApp() {
     // Initialize in-memory cache
     await initializeRedis();
 
+    // Fault injection rules from FAULT_INJECTION / FAULT_INJECTION_FILE
+    const faults = loadFaultConfig();
+    console.log(`🧪 Fault injection: ${faults.rules.length} rule(s) from ${faults.source}`);
+
+    // Finish or roll back orders interrupted by a previous crash
+    await runSagaRecovery();
+    setInterval(runSagaRecovery, SAGA_RECOVERY_INTERVAL_MS).unref();
+
+    // Release expired cart holds in the background
+    setInterval(runHoldSweep, HOLD_SWEEP_INTERVAL_MS).unref();
+
+    // Refund cancelled orders whose refund did not go through
+    setInterval(runRefundRetry, REFUND_RETRY_INTERVAL_MS).unref();
+
+    // Drop abandoned carts
+    setInterval(runCartPurge, CART_PURGE_INTERVAL_MS).unref();
+
     console.log('✅ All services initialized successfully');
   } catch (error) {
     console.error('❌ Failed to initialize services:', error);
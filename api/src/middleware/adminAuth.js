@@ -0,0 +1,33 @@
+import { timingSafeEqual } from 'crypto';
+
+/**
+ * Protect admin endpoints with a shared token
+ * Clients send it as the X-Admin-Token header. Without ADMIN_TOKEN set the
+ * admin API is disabled entirely.
+ */
+export function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+
+  if (!expected) {
+    const error = new Error('Admin API is disabled; set ADMIN_TOKEN to enable it');
+    error.code = 'ADMIN_API_DISABLED';
+    error.statusCode = 403;
+    return next(error);
+  }
+
+  const provided = Buffer.from(req.get('X-Admin-Token') || '');
+  const wanted = Buffer.from(expected);
+
+  if (provided.length !== wanted.length || !timingSafeEqual(provided, wanted)) {
+    const error = new Error('Invalid or missing admin token');
+    error.code = 'UNAUTHORIZED';
+    error.statusCode = 401;
+    return next(error);
+  }
+
+  next();
+}
+
+export default {
+  requireAdminToken,
+};
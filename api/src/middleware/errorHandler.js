@@ -28,6 +28,20 @@ export function errorHandler(err, req, res, next) {
     'user_agent': req.get('user-agent'),
   });
 
+  const { statusCode, body } = getErrorResponse(err);
+
+  if (process.env.NODE_ENV === 'development') {
+    body.error.stack = err.stack;
+  }
+
+  // Send error response
+  res.status(statusCode).json(body);
+}
+
+/**
+ * Build the status code and JSON body sent for an error
+ */
+export function getErrorResponse(err) {
   // Determine status code
   let statusCode = err.statusCode || 500;
 
@@ -42,14 +56,16 @@ export function errorHandler(err, req, res, next) {
     statusCode = 400;
   }
 
-  // Send error response
-  res.status(statusCode).json({
-    error: {
-      message: err.message,
-      code: err.code || 'INTERNAL_ERROR',
-      ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
+  return {
+    statusCode,
+    body: {
+      error: {
+        message: err.message,
+        code: err.code || 'INTERNAL_ERROR',
+        ...(err.details && { details: err.details }),
+      },
     },
-  });
+  };
 }
 
 /**
@@ -82,6 +98,7 @@ export function asyncHandler(fn) {
 
 export default {
   errorHandler,
+  getErrorResponse,
   notFoundHandler,
   asyncHandler,
 };
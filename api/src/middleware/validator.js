@@ -39,6 +39,15 @@ export function handleValidationErrors(req, res, next) {
   next();
 }
 
+/**
+ * Custom validator: an items array must not repeat a product (or a variant of one)
+ */
+export function hasUniqueItems(items) {
+  const lines = items.map((item) => `${Number(item.productId)}:${item.variantId ?? ''}`);
+  return new Set(lines).size === items.length;
+}
+
 export default {
   handleValidationErrors,
+  hasUniqueItems,
 };
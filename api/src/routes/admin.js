@@ -0,0 +1,61 @@
+import express from 'express';
+import * as faultInjection from '../services/faultInjection.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAdminToken } from '../middleware/adminAuth.js';
+import { addEvent } from '../utils/tracer.js';
+
+const router = express.Router();
+
+router.use(requireAdminToken);
+
+/**
+ * Get the active fault injection config
+ * GET /api/admin/faults
+ */
+router.get(
+  '/faults',
+  asyncHandler(async (req, res) => {
+    res.json({ faults: faultInjection.getConfig() });
+  })
+);
+
+/**
+ * Replace the fault injection config
+ * PUT /api/admin/faults
+ */
+router.put(
+  '/faults',
+  asyncHandler(async (req, res) => {
+    const faults = faultInjection.setConfig(req.body, 'api');
+
+    addEvent('fault.config_updated', {
+      rules_count: faults.rules.length,
+      ...(faults.seed !== null && { seed: faults.seed }),
+    });
+
+    res.json({
+      faults,
+      message: 'Fault injection config updated',
+    });
+  })
+);
+
+/**
+ * Go back to the config from env / file (or the built-in defaults)
+ * DELETE /api/admin/faults
+ */
+router.delete(
+  '/faults',
+  asyncHandler(async (req, res) => {
+    const faults = faultInjection.loadConfigFromEnv();
+
+    addEvent('fault.config_reset', { source: faults.source });
+
+    res.json({
+      faults,
+      message: 'Fault injection config reset',
+    });
+  })
+);
+
+export default router;
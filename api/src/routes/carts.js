@@ -0,0 +1,143 @@
+import express from 'express';
+import { body, param, query as queryParam } from 'express-validator';
+import * as carts from '../services/carts.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { handleValidationErrors, hasUniqueItems } from '../middleware/validator.js';
+
+const router = express.Router();
+
+const cartIdParam = param('cartId').isUUID().withMessage('Cart ID must be a UUID');
+const productIdParam = param('productId')
+  .isInt({ min: 1 })
+  .withMessage('Product ID must be an integer')
+  .toInt();
+// Picks the variant line of a product sold in variants on PATCH/DELETE
+const variantIdQuery = queryParam('variantId')
+  .optional()
+  .isInt({ min: 1 })
+  .withMessage('Variant ID must be an integer')
+  .toInt();
+
+function lineFrom(req) {
+  return { productId: req.params.productId, variantId: req.query.variantId ?? null };
+}
+
+/**
+ * Create a cart, optionally with items
+ * POST /api/carts
+ */
+router.post(
+  '/',
+  [
+    body('userId').optional().isInt().withMessage('User ID must be an integer').toInt(),
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.productId').isInt().withMessage('Product ID must be an integer').toInt(),
+    body('items.*.variantId')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Variant ID must be an integer')
+      .toInt(),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+    body('items')
+      .optional()
+      .custom(hasUniqueItems)
+      .withMessage('Each product or variant may appear only once; combine quantities instead'),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const { userId, items } = req.body;
+
+    const cart = await carts.createCart({ userId, items });
+
+    res.set('Location', `/api/carts/${cart.id}`);
+    res.status(201).json({
+      cart,
+      message: 'Cart created',
+    });
+  })
+);
+
+/**
+ * Get a cart with current prices and stock
+ * GET /api/carts/:cartId
+ */
+router.get(
+  '/:cartId',
+  [cartIdParam, handleValidationErrors],
+  asyncHandler(async (req, res) => {
+    const cart = await carts.getCart(req.params.cartId);
+
+    res.json({ cart });
+  })
+);
+
+/**
+ * Add a product or variant (adds to the quantity already in the cart)
+ * POST /api/carts/:cartId/items
+ */
+router.post(
+  '/:cartId/items',
+  [
+    cartIdParam,
+    body('productId').isInt({ min: 1 }).withMessage('Product ID must be an integer').toInt(),
+    body('variantId')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Variant ID must be an integer')
+      .toInt(),
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const { productId, variantId, quantity } = req.body;
+
+    const cart = await carts.addItem(req.params.cartId, { productId, variantId, quantity });
+
+    res.json({
+      cart,
+      message: 'Item added to cart',
+    });
+  })
+);
+
+/**
+ * Set the quantity of a product (or ?variantId= variant) in the cart
+ * PATCH /api/carts/:cartId/items/:productId
+ */
+router.patch(
+  '/:cartId/items/:productId',
+  [
+    cartIdParam,
+    productIdParam,
+    variantIdQuery,
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const cart = await carts.updateItem(req.params.cartId, lineFrom(req), req.body.quantity);
+
+    res.json({
+      cart,
+      message: 'Cart updated',
+    });
+  })
+);
+
+/**
+ * Remove a product (or ?variantId= variant) from the cart
+ * DELETE /api/carts/:cartId/items/:productId
+ */
+router.delete(
+  '/:cartId/items/:productId',
+  [cartIdParam, productIdParam, variantIdQuery, handleValidationErrors],
+  asyncHandler(async (req, res) => {
+    const cart = await carts.removeItem(req.params.cartId, lineFrom(req));
+
+    res.json({
+      cart,
+      message: 'Item removed from cart',
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import * as cache from '../services/cache.js';
+import * as categories from '../services/categories.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { addEvent } from '../utils/tracer.js';
+
+const router = express.Router();
+
+// Categories only change through setup scripts, so the tree is cached longer
+const TREE_CACHE_TTL_SECONDS = 3600;
+
+/**
+ * Get the category tree
+ * GET /api/categories
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const cacheKey = 'categories:tree';
+
+    let tree = await cache.get(cacheKey);
+    const cached = Boolean(tree);
+
+    if (cached) {
+      addEvent('categories.served_from_cache', { root_count: tree.length });
+    } else {
+      tree = await categories.getCategoryTree();
+      await cache.set(cacheKey, tree, TREE_CACHE_TTL_SECONDS);
+    }
+
+    res.json({
+      categories: tree,
+      cached,
+    });
+  })
+);
+
+export default router;
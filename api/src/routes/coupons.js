@@ -0,0 +1,175 @@
+import express from 'express';
+import { body, query as queryParam } from 'express-validator';
+import * as coupons from '../services/coupons.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { handleValidationErrors } from '../middleware/validator.js';
+import { requireAdminToken } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// Coupon management is an admin task
+router.use(requireAdminToken);
+
+/**
+ * Parse a numeric :id route parameter
+ */
+function parseId(value) {
+  const id = parseInt(value, 10);
+
+  if (isNaN(id)) {
+    const error = new Error('Invalid coupon ID');
+    error.code = 'VALIDATION_ERROR';
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return id;
+}
+
+/**
+ * Validators for the editable coupon fields
+ * `required` makes type and value mandatory (create); updates take any subset.
+ */
+function couponValidators({ required }) {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('type')
+      .isIn(coupons.COUPON_TYPES)
+      .withMessage(`Type must be one of: ${coupons.COUPON_TYPES.join(', ')}`),
+    field('value').isFloat({ gt: 0 }).withMessage('Value must be greater than 0').toFloat(),
+    // Without a type in the body, updateCoupon() checks the value against the stored type
+    body('value')
+      .optional()
+      .custom((value, { req }) => req.body.type !== 'percentage' || value <= 100)
+      .withMessage('Percentage value cannot exceed 100'),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 500 }),
+    body('min_cart_value')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Minimum cart value must be 0 or more')
+      .toFloat(),
+    body('max_redemptions')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Max redemptions must be at least 1')
+      .toInt(),
+    body('per_user_limit')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Per-user limit must be at least 1')
+      .toInt(),
+    body('starts_at')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('starts_at must be an ISO 8601 date'),
+    body('expires_at')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('expires_at must be an ISO 8601 date')
+      .custom(
+        (expiresAt, { req }) =>
+          !req.body.starts_at || new Date(expiresAt) > new Date(req.body.starts_at)
+      )
+      .withMessage('expires_at must be after starts_at'),
+    body('active').optional().isBoolean().withMessage('Active must be a boolean').toBoolean(),
+  ];
+}
+
+/**
+ * List coupons
+ * GET /api/coupons?active=true
+ */
+router.get(
+  '/',
+  [
+    queryParam('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be a boolean')
+      .toBoolean(),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const list = await coupons.listCoupons({ active: req.query.active });
+
+    res.json({
+      coupons: list,
+      count: list.length,
+    });
+  })
+);
+
+/**
+ * Get a coupon
+ * GET /api/coupons/:id
+ */
+router.get(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const coupon = await coupons.getCoupon(parseId(req.params.id));
+
+    res.json({ coupon });
+  })
+);
+
+/**
+ * Create a coupon
+ * POST /api/coupons
+ */
+router.post(
+  '/',
+  [
+    body('code')
+      .isString()
+      .withMessage('Code is required')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,50}$/)
+      .withMessage('Code must be 3-50 letters, digits, dashes or underscores'),
+    ...couponValidators({ required: true }),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const coupon = await coupons.createCoupon(req.body);
+
+    res.status(201).json({
+      coupon,
+      message: 'Coupon created',
+    });
+  })
+);
+
+/**
+ * Update a coupon (any subset of fields; code cannot change)
+ * PATCH /api/coupons/:id
+ */
+router.patch(
+  '/:id',
+  [...couponValidators({ required: false }), handleValidationErrors],
+  asyncHandler(async (req, res) => {
+    const coupon = await coupons.updateCoupon(parseId(req.params.id), req.body);
+
+    res.json({
+      coupon,
+      message: 'Coupon updated',
+    });
+  })
+);
+
+/**
+ * Delete a coupon that has never been redeemed
+ * DELETE /api/coupons/:id
+ */
+router.delete(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const coupon = await coupons.deleteCoupon(parseId(req.params.id));
+
+    res.json({
+      coupon,
+      message: 'Coupon deleted',
+    });
+  })
+);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import { checkHealth as checkDbHealth } from '../services/database.js';
 import { checkHealth as checkCacheHealth } from '../services/cache.js';
+import { getPaymentHealth } from '../services/payment.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -17,14 +18,23 @@ router.get(
       checkCacheHealth(),
     ]);
 
+    const paymentHealth = getPaymentHealth();
+
     const isHealthy = dbHealth.status === 'healthy' && cacheHealth.status === 'healthy';
 
+    // An open payment breaker degrades checkout, but browsing still works
+    let status = isHealthy ? 'healthy' : 'unhealthy';
+    if (isHealthy && paymentHealth.status !== 'healthy') {
+      status = 'degraded';
+    }
+
     res.status(isHealthy ? 200 : 503).json({
-      status: isHealthy ? 'healthy' : 'unhealthy',
+      status,
       timestamp: new Date().toISOString(),
       services: {
         database: dbHealth,
         cache: cacheHealth,
+        payment: paymentHealth,
       },
     });
   })
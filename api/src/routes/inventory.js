@@ -0,0 +1,193 @@
+import express from 'express';
+import { body } from 'express-validator';
+import * as inventory from '../services/inventory.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { handleValidationErrors, hasUniqueItems } from '../middleware/validator.js';
+import { requireAdminToken } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+/**
+ * Parse a numeric :id route parameter
+ */
+function parseId(value, label) {
+  const id = parseInt(value, 10);
+
+  if (isNaN(id)) {
+    const error = new Error(`Invalid ${label}`);
+    error.code = 'VALIDATION_ERROR';
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return id;
+}
+
+/**
+ * Hold stock for a cart for a limited time
+ * POST /api/inventory/holds
+ */
+router.post(
+  '/holds',
+  [
+    body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+    body('items.*.productId').isInt().withMessage('Product ID must be an integer').toInt(),
+    body('items.*.variantId')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Variant ID must be an integer')
+      .toInt(),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+    body('items')
+      .custom(hasUniqueItems)
+      .withMessage('Each product or variant may appear only once; combine quantities instead'),
+    body('ttlSeconds')
+      .optional()
+      .isInt({ min: 30, max: inventory.HOLD_MAX_TTL })
+      .withMessage(`TTL must be between 30 and ${inventory.HOLD_MAX_TTL} seconds`)
+      .toInt(),
+    body('userId').optional().isInt().withMessage('User ID must be an integer').toInt(),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const { items, ttlSeconds, userId } = req.body;
+
+    const hold = await inventory.createHold(items, { ttlSeconds, userId });
+
+    res.status(201).json({
+      hold,
+      message: 'Inventory held',
+    });
+  })
+);
+
+/**
+ * Get a hold
+ * GET /api/inventory/holds/:id
+ */
+router.get(
+  '/holds/:id',
+  asyncHandler(async (req, res) => {
+    const hold = await inventory.getHold(parseId(req.params.id, 'hold ID'));
+
+    res.json({ hold });
+  })
+);
+
+/**
+ * Release a hold before it expires
+ * DELETE /api/inventory/holds/:id
+ */
+router.delete(
+  '/holds/:id',
+  asyncHandler(async (req, res) => {
+    const hold = await inventory.releaseHold(parseId(req.params.id, 'hold ID'));
+
+    res.json({
+      hold,
+      message: 'Inventory hold released',
+    });
+  })
+);
+
+/**
+ * Products at or below their reorder threshold
+ * GET /api/inventory/low-stock
+ */
+router.get(
+  '/low-stock',
+  asyncHandler(async (req, res) => {
+    const products = await inventory.getLowStockReport();
+
+    res.json({
+      products,
+      count: products.length,
+      defaultThreshold: inventory.DEFAULT_LOW_STOCK_THRESHOLD,
+    });
+  })
+);
+
+/**
+ * Get stock level, ledger balance and recent movements for a product
+ * GET /api/inventory/:productId
+ */
+router.get(
+  '/:productId',
+  asyncHandler(async (req, res) => {
+    const productId = parseId(req.params.productId, 'product ID');
+    const level = await inventory.getInventoryLevel(productId, { movementsLimit: 20 });
+
+    res.json({ inventory: level });
+  })
+);
+
+/**
+ * Adjust stock with a reason code (per variant for products sold in variants)
+ * POST /api/inventory/:productId/adjust
+ */
+router.post(
+  '/:productId/adjust',
+  requireAdminToken,
+  [
+    body('quantity')
+      .isInt()
+      .withMessage('Quantity must be an integer')
+      .custom((value) => Number(value) !== 0)
+      .withMessage('Quantity must be a non-zero integer')
+      .toInt(),
+    body('reason')
+      .isIn(inventory.ADJUSTMENT_REASONS)
+      .withMessage(`Reason must be one of: ${inventory.ADJUSTMENT_REASONS.join(', ')}`),
+    body('quantity')
+      .custom((value, { req }) => req.body.reason !== 'restock' || value > 0)
+      .withMessage('Restock quantity must be positive')
+      .custom((value, { req }) => req.body.reason !== 'damage' || value < 0)
+      .withMessage('Damage quantity must be negative'),
+    body('note').optional().isString().isLength({ max: 500 }).withMessage('Note must be a string'),
+    body('variantId')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Variant ID must be an integer')
+      .toInt(),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const productId = parseId(req.params.productId, 'product ID');
+    const { quantity, reason, note, variantId } = req.body;
+
+    const adjustment = await inventory.adjustInventory(productId, {
+      quantity,
+      reason,
+      note,
+      variantId,
+    });
+
+    res.json({
+      adjustment,
+      message: 'Inventory adjusted',
+    });
+  })
+);
+
+/**
+ * Set a product's reorder threshold (null falls back to LOW_STOCK_THRESHOLD)
+ * PUT /api/inventory/:productId/threshold
+ */
+router.put(
+  '/:productId/threshold',
+  requireAdminToken,
+  [
+    body('threshold')
+      .custom((value) => value === null || (Number.isInteger(value) && value >= 0))
+      .withMessage('Threshold must be a non-negative integer or null'),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const productId = parseId(req.params.productId, 'product ID');
+    const product = await inventory.setReorderThreshold(productId, req.body.threshold);
+
+    res.json({ product });
+  })
+);
+
+export default router;
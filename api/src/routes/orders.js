@@ -1,255 +1,490 @@
 import express from 'express';
-import { body } from 'express-validator';
-import { query, getClient } from '../services/database.js';
+import { body, header } from 'express-validator';
+import { query, getClient, withTransaction } from '../services/database.js';
 import * as cache from '../services/cache.js';
-import * as payment from '../services/payment.js';
 import * as inventory from '../services/inventory.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
-import { handleValidationErrors } from '../middleware/validator.js';
+import * as productService from '../services/products.js';
+import * as paymentRecords from '../services/paymentRecords.js';
+import * as orderSaga from '../services/orderSaga.js';
+import * as refunds from '../services/refunds.js';
+import * as currency from '../services/currency.js';
+import * as pricing from '../services/pricing.js';
+import * as coupons from '../services/coupons.js';
+import * as carts from '../services/carts.js';
+import {
+  OrderStatus,
+  PaymentStatus,
+  MANUAL_STATUSES,
+  canTransition,
+  allowedTransitions,
+  transitionOrder,
+} from '../services/orderStatus.js';
+import * as idempotency from '../services/idempotency.js';
+import { asyncHandler, getErrorResponse } from '../middleware/errorHandler.js';
+import { handleValidationErrors, hasUniqueItems } from '../middleware/validator.js';
 import { withSpan, addEvent, setAttributes } from '../utils/tracer.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
 /**
- * Create a new order
- * POST /api/orders
+ * Load the cart's products and variants and price it with the pricing engine
+ * Shared by order creation and the quote preview
+ */
+async function priceCart({ items, currencyCode, region, couponCode, userId = null }) {
+  const catalog = await productService.getItemCatalog(items);
+  const { products, variants } = catalog;
+  const missingIds = items.map((item) => item.productId).filter((id) => !products.has(id));
+
+  if (missingIds.length > 0) {
+    addEvent('order.unknown_products', { product_ids: missingIds.join(',') });
+
+    const error = new Error(`Products not found: ${missingIds.join(', ')}`);
+    error.code = 'NOT_FOUND';
+    error.statusCode = 404;
+    error.details = { productIds: missingIds };
+    throw error;
+  }
+
+  // Unit prices in the order currency, in integer minor units; a variant has its own SKU and price
+  const lines = items.map((item) => {
+    const product = products.get(item.productId);
+    const variant = item.variantId != null ? variants.get(item.variantId) : null;
+
+    return {
+      productId: item.productId,
+      variantId: variant?.id ?? null,
+      sku: (variant || product).sku,
+      name: variant ? `${product.name} (${variant.name})` : product.name,
+      quantity: item.quantity,
+      weightGrams: product.weight_grams,
+      unitPriceMinor: currency.convertFromBase(
+        currency.toMinorUnits((variant || product).price, currency.BASE_CURRENCY),
+        currencyCode
+      ),
+    };
+  });
+
+  const coupon = couponCode
+    ? await coupons.getRedeemableCoupon(couponCode, {
+        userId,
+        subtotalMinor: lines.reduce((sum, line) => sum + line.unitPriceMinor * line.quantity, 0),
+        currencyCode,
+      })
+    : null;
+  const quote = await pricing.quote({ lines, currency: currencyCode, region, coupon });
+
+  return { catalog, quote };
+}
+
+/**
+ * Run the order creation steps inside the active order.create span
+ * Returns the response body for a created order - confirmed, or awaiting its
+ * payment webhook in async payment mode
+ */
+async function createOrder(
+  span,
+  {
+    userId,
+    items: requestedItems,
+    cartId,
+    paymentMethod,
+    holdId,
+    currencyCode,
+    region,
+    couponCode,
+    idempotencyKey,
+  }
+) {
+  // Checking out a server-side cart: its contents are the order's items
+  const items = cartId ? await carts.getCheckoutItems(cartId, { userId }) : requestedItems;
+
+  span.setAttributes({
+    'order.user_id': userId,
+    'order.items_count': items.length,
+    'order.payment_method': paymentMethod,
+    'order.currency': currencyCode,
+    ...(holdId && { 'order.hold_id': holdId }),
+    ...(cartId && { 'order.cart_id': cartId }),
+  });
+
+  addEvent('order.creation_started', {
+    user_id: userId,
+    items_count: items.length,
+  });
+
+  // Step 1: Validate user exists
+  const userResult = await query('SELECT id, email, name FROM users WHERE id = $1', [
+    userId,
+  ]);
+
+  if (userResult.rows.length === 0) {
+    const error = new Error('User not found');
+    error.code = 'NOT_FOUND';
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const user = userResult.rows[0];
+  span.setAttribute('order.user_email', user.email);
+
+  // Step 2: Load every product once, then price the cart (discounts, shipping, tax)
+  const { catalog, quote } = await priceCart({ items, currencyCode, region, couponCode, userId });
+
+  const productDetails = quote.lines.map((line) => ({
+    productId: line.productId,
+    variantId: line.variantId,
+    quantity: line.quantity,
+    price: line.unitPrice,
+    name: line.name,
+    sku: line.sku,
+    itemTotal: line.lineTotal,
+  }));
+
+  const totalAmount = quote.total;
+  const exchangeRate = quote.exchangeRate;
+
+  span.setAttributes({
+    'order.total_amount': totalAmount,
+    'order.total_amount_minor': quote.totalMinor,
+    'order.exchange_rate': exchangeRate,
+    'order.region': quote.region,
+    ...(quote.coupon && { 'order.coupon_code': quote.coupon.code }),
+  });
+  addEvent('order.total_calculated', {
+    total: totalAmount,
+    subtotal: quote.subtotal,
+    discount: quote.discount,
+    shipping: quote.shipping,
+    tax: quote.tax,
+    currency: currencyCode,
+    exchange_rate: exchangeRate,
+  });
+
+  // Step 3: Check inventory availability against the products already loaded
+  // (fast rejection only - the authoritative check runs under row locks in the saga).
+  // Held stock has already left stock_quantity, so orders using a hold skip this.
+  const inventoryCheck = holdId
+    ? { available: true }
+    : await inventory.checkInventory(items, catalog);
+
+  if (!inventoryCheck.available) {
+    const unavailableItems = inventoryCheck.items.filter((i) => !i.sufficient);
+
+    addEvent('order.insufficient_inventory', {
+      unavailable_count: unavailableItems.length,
+    });
+
+    const error = new Error('Insufficient inventory for one or more items');
+    error.code = 'INSUFFICIENT_INVENTORY';
+    error.statusCode = 409;
+    error.details = unavailableItems;
+    throw error;
+  }
+
+  // Step 4: Create, reserve, pay and confirm as a saga
+  let orderId;
+  let paymentResult;
+  let awaitingPayment;
+
+  try {
+    ({ orderId, paymentResult, awaitingPayment } = await orderSaga.runOrderSaga({
+      userId,
+      items: productDetails,
+      totalAmount,
+      currency: currencyCode,
+      exchangeRate,
+      pricing: quote,
+      paymentMethod,
+      holdId,
+      cartId,
+      idempotencyKey,
+    }));
+  } catch (error) {
+    if (error.orderId) {
+      span.setAttribute('order.id', error.orderId);
+      span.setAttribute('order.status', OrderStatus.CANCELLED);
+
+      addEvent('order.payment_failed', {
+        order_id: error.orderId,
+        error: error.message,
+        reason: error.reason,
+      });
+
+      // Log payment failure
+      logger.warn('Payment failed for order', {
+        'order.id': error.orderId,
+        'order.user_id': userId,
+        'payment.error': error.message,
+        'payment.reason': error.reason,
+      });
+    }
+
+    throw error;
+  }
+
+  const status = awaitingPayment ? OrderStatus.AWAITING_PAYMENT : OrderStatus.CONFIRMED;
+
+  span.setAttribute('order.id', orderId);
+  span.setAttribute('order.payment_transaction_id', paymentResult.transactionId);
+  span.setAttribute('order.status', status);
+
+  // Log successful order creation
+  logger.info(awaitingPayment ? 'Order created, awaiting payment' : 'Order created successfully', {
+    'order.id': orderId,
+    'order.user_id': userId,
+    'order.total_amount': totalAmount,
+    'order.currency': currencyCode,
+    'order.items_count': items.length,
+    'order.status': status,
+    'payment.transaction_id': paymentResult.transactionId,
+  });
+
+  // Step 5: Return success response
+  const finalOrder = await query(
+    `SELECT o.*, u.email, u.name as user_name
+     FROM orders o
+     JOIN users u ON o.user_id = u.id
+     WHERE o.id = $1`,
+    [orderId]
+  );
+
+  addEvent('order.creation_completed', {
+    order_id: orderId,
+    status,
+  });
+
+  return {
+    order: {
+      ...finalOrder.rows[0],
+      items: productDetails,
+      pricing: quote,
+      payment: paymentResult,
+    },
+    message: awaitingPayment
+      ? 'Order accepted, awaiting payment confirmation'
+      : 'Order created successfully',
+  };
+}
+
+// Cart pricing inputs shared by POST /api/orders and POST /api/orders/quote
+const pricingValidators = [
+  body('region')
+    .optional()
+    .isString()
+    .toUpperCase()
+    .custom((region) => pricing.getTaxRate(region) !== undefined)
+    .withMessage(`Region must be one of: ${Object.keys(pricing.TAX_RATES).join(', ')}`),
+  body('couponCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Coupon code must be 1-50 characters'),
+];
+
+/**
+ * Preview an order's price without placing it
+ * POST /api/orders/quote
  */
 router.post(
-  '/',
+  '/quote',
   [
-    body('userId').isInt().withMessage('User ID must be an integer'),
     body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
-    body('items.*.productId').isInt().withMessage('Product ID must be an integer'),
-    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-    body('paymentMethod')
-      .isIn(['credit_card', 'debit_card', 'paypal'])
-      .withMessage('Invalid payment method'),
+    body('items.*.productId').isInt().withMessage('Product ID must be an integer').toInt(),
+    body('items.*.variantId')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Variant ID must be an integer')
+      .toInt(),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+    body('items')
+      .custom(hasUniqueItems)
+      .withMessage('Each product or variant may appear only once; combine quantities instead'),
+    ...pricingValidators,
     handleValidationErrors,
   ],
   asyncHandler(async (req, res) => {
-    const { userId, items, paymentMethod } = req.body;
+    const { items, region, couponCode } = req.body;
+    const currencyCode = currency.resolveCurrency(req);
 
     return withSpan(
-      'order.create',
+      'order.quote',
       async (span) => {
         span.setAttributes({
-          'order.user_id': userId,
           'order.items_count': items.length,
-          'order.payment_method': paymentMethod,
+          'order.currency': currencyCode,
+          ...(region && { 'order.region': region }),
+          ...(couponCode && { 'order.coupon_code': couponCode }),
         });
 
-        addEvent('order.creation_started', {
-          user_id: userId,
-          items_count: items.length,
-        });
+        const { quote } = await priceCart({ items, currencyCode, region, couponCode });
 
-        // Step 1: Validate user exists
-        const userResult = await query('SELECT id, email, name FROM users WHERE id = $1', [
-          userId,
-        ]);
+        span.setAttribute('order.total_amount', quote.total);
+        addEvent('order.quoted', { total: quote.total, currency: currencyCode });
 
-        if (userResult.rows.length === 0) {
-          const error = new Error('User not found');
-          error.code = 'NOT_FOUND';
-          error.statusCode = 404;
-          throw error;
-        }
-
-        const user = userResult.rows[0];
-        span.setAttribute('order.user_email', user.email);
+        res.json({ quote });
+      }
+    );
+  })
+);
 
-        // Step 2: Calculate total and validate products
-        let totalAmount = 0;
-        const productDetails = [];
+/**
+ * Create a new order
+ * POST /api/orders
+ */
+router.post(
+  '/',
+  [
+    body('userId').isInt().withMessage('User ID must be an integer'),
+    body('cartId').optional().isUUID().withMessage('Cart ID must be a UUID'),
+    body('items')
+      .if(body('cartId').not().exists())
+      .isArray({ min: 1 })
+      .withMessage('Items must be a non-empty array (or send a cartId)'),
+    body('items')
+      .if(body('cartId').exists())
+      .not()
+      .exists()
+      .withMessage('Send either items or a cartId, not both'),
+    body('items.*.productId').isInt().withMessage('Product ID must be an integer').toInt(),
+    body('items.*.variantId')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Variant ID must be an integer')
+      .toInt(),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+    body('items')
+      .optional()
+      .custom(hasUniqueItems)
+      .withMessage('Each product or variant may appear only once; combine quantities instead'),
+    body('paymentMethod')
+      .isIn(['credit_card', 'debit_card', 'paypal'])
+      .withMessage('Invalid payment method'),
+    body('holdId').optional().isInt({ min: 1 }).withMessage('Hold ID must be an integer').toInt(),
+    ...pricingValidators,
+    header('Idempotency-Key')
+      .optional()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Idempotency-Key must be 1-255 characters'),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const { userId, items, cartId, paymentMethod, holdId, region, couponCode } = req.body;
+    const currencyCode = currency.resolveCurrency(req);
 
-        for (const item of items) {
-          const productResult = await query(
-            'SELECT id, sku, name, price FROM products WHERE id = $1',
-            [item.productId]
+    return withSpan(
+      'order.create',
+      async (span) => {
+        const idempotencyKey = req.get('Idempotency-Key');
+        // Keys are per user: the same key from another customer is a different request
+        const idempotencyScope = idempotencyKey && {
+          userId: parseInt(userId, 10),
+          key: idempotencyKey,
+        };
+
+        if (idempotencyKey) {
+          span.setAttribute('order.idempotency_key', idempotencyKey);
+
+          // The currency comes from a header or query, so it is part of the request identity
+          const claim = await idempotency.begin(
+            idempotencyScope,
+            idempotency.hashRequest({ ...req.body, currency: currencyCode })
           );
+          span.setAttribute('order.idempotency_outcome', claim.outcome);
 
-          if (productResult.rows.length === 0) {
-            const error = new Error(`Product ${item.productId} not found`);
-            error.code = 'NOT_FOUND';
-            error.statusCode = 404;
-            throw error;
-          }
-
-          const product = productResult.rows[0];
-          const itemTotal = parseFloat(product.price) * item.quantity;
-          totalAmount += itemTotal;
-
-          productDetails.push({
-            ...item,
-            price: product.price,
-            name: product.name,
-            sku: product.sku,
-            itemTotal,
-          });
-        }
-
-        span.setAttribute('order.total_amount', totalAmount);
-        addEvent('order.total_calculated', { total: totalAmount });
+          if (claim.outcome === 'replayed') {
+            addEvent('order.idempotent_replay', {
+              idempotency_key: idempotencyKey,
+              status_code: claim.response.statusCode,
+            });
 
-        // Step 3: Check inventory availability
-        const inventoryCheck = await inventory.checkInventory(items);
-
-        if (!inventoryCheck.available) {
-          const unavailableItems = inventoryCheck.items.filter((i) => !i.sufficient);
-
-          addEvent('order.insufficient_inventory', {
-            unavailable_count: unavailableItems.length,
-          });
-
-          const error = new Error('Insufficient inventory for one or more items');
-          error.code = 'INSUFFICIENT_INVENTORY';
-          error.statusCode = 409;
-          error.details = unavailableItems;
-          throw error;
-        }
-
-        // Step 4: Create order record
-        const client = await getClient();
-        let orderId;
-        let paymentResult;
-
-        try {
-          await client.query('BEGIN');
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(claim.response.statusCode).json(claim.response.body);
+          }
 
-          // Insert order
-          const orderResult = await client.query(
-            `INSERT INTO orders (user_id, status, total_amount, payment_method, payment_status)
-             VALUES ($1, $2, $3, $4, $5)
-             RETURNING id`,
-            [userId, 'pending', totalAmount, paymentMethod, 'pending']
-          );
+          if (claim.outcome === 'recovered') {
+            // The first request died after creating the order; recovery settles it
+            addEvent('order.idempotent_recovered', {
+              idempotency_key: idempotencyKey,
+              order_id: claim.orderId,
+            });
+
+            const recovered = await query(
+              `SELECT o.*, u.email, u.name as user_name
+               FROM orders o
+               JOIN users u ON o.user_id = u.id
+               WHERE o.id = $1`,
+              [claim.orderId]
+            );
 
-          orderId = orderResult.rows[0].id;
-          span.setAttribute('order.id', orderId);
+            res.set('Location', `/api/orders/${claim.orderId}`);
+            return res.json({
+              order: recovered.rows[0],
+              message: 'Order created by an interrupted request with this Idempotency-Key',
+            });
+          }
 
-          addEvent('order.record_created', { order_id: orderId });
+          if (claim.outcome === 'mismatch') {
+            addEvent('order.idempotency_key_mismatch', { idempotency_key: idempotencyKey });
 
-          // Insert order items
-          for (const item of productDetails) {
-            await client.query(
-              `INSERT INTO order_items (order_id, product_id, quantity, price)
-               VALUES ($1, $2, $3, $4)`,
-              [orderId, item.productId, item.quantity, item.price]
-            );
+            const error = new Error('Idempotency-Key was already used with a different request body');
+            error.code = 'IDEMPOTENCY_KEY_MISMATCH';
+            error.statusCode = 422;
+            throw error;
           }
 
-          await client.query('COMMIT');
+          if (claim.outcome === 'in_progress') {
+            addEvent('order.idempotency_key_in_progress', { idempotency_key: idempotencyKey });
 
-          addEvent('order.items_saved', {
-            order_id: orderId,
-            items_count: items.length,
-          });
-        } catch (error) {
-          await client.query('ROLLBACK');
-          throw error;
-        } finally {
-          client.release();
+            const error = new Error('A request with this Idempotency-Key is still being processed');
+            error.code = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+            error.statusCode = 409;
+            throw error;
+          }
         }
 
-        // Step 5: Reserve inventory
         try {
-          await inventory.reserveInventory(orderId, items);
-          addEvent('order.inventory_reserved', { order_id: orderId });
-        } catch (error) {
-          // If inventory reservation fails, mark order as failed
-          await query(
-            `UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
-            ['failed', orderId]
-          );
-
-          addEvent('order.inventory_reservation_failed', {
-            order_id: orderId,
-            error: error.message,
+          const responseBody = await createOrder(span, {
+            userId,
+            items,
+            cartId,
+            paymentMethod,
+            holdId,
+            currencyCode,
+            region,
+            couponCode,
+            idempotencyKey,
           });
 
-          throw error;
-        }
+          // 202 while an async payment is outstanding; poll GET /api/orders/:id
+          const statusCode = responseBody.order.status === OrderStatus.AWAITING_PAYMENT ? 202 : 201;
 
-        // Step 6: Process payment
-        try {
-          paymentResult = await payment.processPayment(orderId, totalAmount, paymentMethod);
-
-          // Update order with payment info
-          await query(
-            `UPDATE orders
-             SET payment_status = $1, status = $2, updated_at = CURRENT_TIMESTAMP
-             WHERE id = $3`,
-            ['completed', 'confirmed', orderId]
-          );
-
-          span.setAttribute('order.payment_transaction_id', paymentResult.transactionId);
-          span.setAttribute('order.status', 'confirmed');
+          if (idempotencyKey) {
+            await idempotency.complete(idempotencyScope, statusCode, responseBody);
+          }
 
-          addEvent('order.payment_completed', {
-            order_id: orderId,
-            transaction_id: paymentResult.transactionId,
-          });
+          if (statusCode === 202) {
+            res.set('Location', `/api/orders/${responseBody.order.id}`);
+          }
 
-          // Log successful order creation
-          logger.info('Order created successfully', {
-            'order.id': orderId,
-            'order.user_id': userId,
-            'order.total_amount': totalAmount,
-            'order.items_count': items.length,
-            'payment.transaction_id': paymentResult.transactionId,
-          });
+          res.status(statusCode).json(responseBody);
         } catch (error) {
-          // Payment failed - release inventory and mark order as failed
-          await inventory.releaseInventory(orderId, items);
-
-          await query(
-            `UPDATE orders
-             SET payment_status = $1, status = $2, updated_at = CURRENT_TIMESTAMP
-             WHERE id = $3`,
-            ['failed', 'cancelled', orderId]
-          );
-
-          addEvent('order.payment_failed', {
-            order_id: orderId,
-            error: error.message,
-            reason: error.reason,
-          });
-
-          // Log payment failure
-          logger.warn('Payment failed for order', {
-            'order.id': orderId,
-            'order.user_id': userId,
-            'payment.error': error.message,
-            'payment.reason': error.reason,
-          });
+          if (idempotencyKey) {
+            // Final outcomes are replayed, including a server error whose order was rolled
+            // back; other server errors free the key for a retry, unless an order exists
+            // (left for recovery), which a retry is pointed at once the claim goes stale
+            const { statusCode, body: errorBody } = getErrorResponse(error);
+
+            if (statusCode < 500 || (error.orderId && !error.orderPending)) {
+              await idempotency.complete(idempotencyScope, statusCode, errorBody);
+            } else {
+              await idempotency.release(idempotencyScope);
+            }
+          }
 
-          span.setAttribute('order.status', 'cancelled');
           throw error;
         }
-
-        // Step 7: Return success response
-        const finalOrder = await query(
-          `SELECT o.*, u.email, u.name as user_name
-           FROM orders o
-           JOIN users u ON o.user_id = u.id
-           WHERE o.id = $1`,
-          [orderId]
-        );
-
-        addEvent('order.creation_completed', {
-          order_id: orderId,
-          status: 'confirmed',
-        });
-
-        res.status(201).json({
-          order: {
-            ...finalOrder.rows[0],
-            items: productDetails,
-            payment: paymentResult,
-          },
-          message: 'Order created successfully',
-        });
       }
     );
   })
@@ -303,14 +538,27 @@ router.get(
 
     // Fetch order items
     const itemsResult = await query(
-      `SELECT oi.*, p.sku, p.name as product_name
+      `SELECT oi.*, COALESCE(v.sku, p.sku) AS sku, p.name as product_name,
+              v.name AS variant_name
        FROM order_items oi
        JOIN products p ON oi.product_id = p.id
+       LEFT JOIN product_variants v ON oi.variant_id = v.id
        WHERE oi.order_id = $1`,
       [orderId]
     );
 
     order.items = itemsResult.rows;
+    order.payments = await paymentRecords.getPaymentHistory(orderId);
+
+    const historyResult = await query(
+      `SELECT from_status, to_status, from_payment_status, to_payment_status, reason, created_at
+       FROM order_status_history
+       WHERE order_id = $1
+       ORDER BY created_at, id`,
+      [orderId]
+    );
+
+    order.status_history = historyResult.rows;
 
     // Cache for 2 minutes
     await cache.set(cacheKey, order, 120);
@@ -363,4 +611,280 @@ router.get(
   })
 );
 
+/**
+ * Cancel an order, refunding the payment and returning stock
+ * POST /api/orders/:id/cancel
+ *
+ * The gateway refund is made after the cancellation commits; if it fails the
+ * order stays cancelled with its refund pending, and the refund retry job
+ * finishes it.
+ */
+router.post(
+  '/:id/cancel',
+  [
+    body('reason').optional().isString().isLength({ max: 255 }).withMessage('Reason must be a string'),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const orderId = parseInt(req.params.id, 10);
+    const reason = req.body.reason || 'customer_request';
+
+    if (isNaN(orderId)) {
+      const error = new Error('Invalid order ID');
+      error.code = 'VALIDATION_ERROR';
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return withSpan(
+      'order.cancel',
+      async (span) => {
+        span.setAttributes({
+          'order.id': orderId,
+          'order.cancel_reason': reason,
+        });
+
+        addEvent('order.cancellation_started', { order_id: orderId, reason });
+
+        const client = await getClient();
+        let order;
+        let items;
+        let refundable = false;
+        let refundResult = null;
+
+        try {
+          await client.query('BEGIN');
+
+          // Lock the order row so concurrent cancellations cannot refund twice
+          const orderResult = await client.query(
+            `SELECT id, user_id, status, total_amount, payment_status, payment_transaction_id
+             FROM orders
+             WHERE id = $1
+             FOR UPDATE`,
+            [orderId]
+          );
+
+          if (orderResult.rows.length === 0) {
+            const error = new Error('Order not found');
+            error.code = 'NOT_FOUND';
+            error.statusCode = 404;
+            throw error;
+          }
+
+          order = orderResult.rows[0];
+          span.setAttributes({
+            'order.user_id': order.user_id,
+            'order.previous_status': order.status,
+          });
+
+          // Captured payments are refunded; anything else is simply cancelled
+          refundable =
+            order.payment_status === PaymentStatus.COMPLETED && order.payment_transaction_id;
+          const targetStatus = refundable ? OrderStatus.REFUNDED : OrderStatus.CANCELLED;
+
+          if (!canTransition(order.status, targetStatus)) {
+            addEvent('order.cancellation_rejected', {
+              order_id: orderId,
+              status: order.status,
+            });
+
+            const error = new Error(`Order cannot be cancelled in status '${order.status}'`);
+            error.code = 'ORDER_NOT_CANCELLABLE';
+            error.statusCode = 409;
+            throw error;
+          }
+
+          // Orders still moving through the creation saga are settled by the saga itself
+          const sagaResult = await client.query(
+            'SELECT state FROM order_sagas WHERE order_id = $1',
+            [orderId]
+          );
+
+          if (sagaResult.rows.length > 0 && orderSaga.IN_FLIGHT_STATES.includes(sagaResult.rows[0].state)) {
+            const error = new Error('Order is still being processed and cannot be cancelled yet');
+            error.code = 'ORDER_IN_PROGRESS';
+            error.statusCode = 409;
+            throw error;
+          }
+
+          const itemsResult = await client.query(
+            'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = $1',
+            [orderId]
+          );
+
+          items = itemsResult.rows.map((row) => ({
+            productId: row.product_id,
+            variantId: row.variant_id,
+            quantity: row.quantity,
+          }));
+
+          // Step 1: Record that the captured payment is owed back; it is refunded after commit
+          if (refundable) {
+            await refunds.markRefundPending(client, order.payment_transaction_id);
+          }
+
+          // Step 2: Return stock to inventory
+          await inventory.releaseInventory(orderId, items, client);
+          addEvent('order.inventory_released', {
+            order_id: orderId,
+            items_count: items.length,
+          });
+
+          // Step 3: Give the coupon back so the customer can use it again
+          await coupons.releaseCoupon(client, orderId);
+
+          // Step 4: Update order status (payment_status becomes refunded with the refund)
+          let paymentStatus;
+          if (!refundable && order.payment_status === PaymentStatus.PENDING) {
+            paymentStatus = PaymentStatus.CANCELLED;
+          }
+
+          const transition = await transitionOrder(client, orderId, {
+            status: targetStatus,
+            paymentStatus,
+            reason,
+          });
+
+          await client.query('COMMIT');
+
+          order.status = transition.to;
+          order.payment_status = transition.paymentTo;
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
+
+        await cache.del(`order:${orderId}`);
+
+        // Step 5: Refund at the gateway, now that no transaction holds the order
+        if (refundable) {
+          try {
+            refundResult = await refunds.completeRefund({
+              orderId,
+              transactionId: order.payment_transaction_id,
+              amount: parseFloat(order.total_amount),
+            });
+            order.payment_status = PaymentStatus.REFUNDED;
+            span.setAttribute('order.refund_id', refundResult.refundId);
+          } catch (error) {
+            refundResult = { status: 'pending' };
+            span.setAttribute('order.refund_pending', true);
+            logger.exception(error, {
+              'order.id': orderId,
+              'payment.transaction_id': order.payment_transaction_id,
+              'payment.phase': 'refund',
+            });
+          }
+        }
+
+        span.setAttribute('order.status', order.status);
+        addEvent('order.cancellation_completed', {
+          order_id: orderId,
+          status: order.status,
+        });
+
+        logger.info('Order cancelled', {
+          'order.id': orderId,
+          'order.user_id': order.user_id,
+          'order.status': order.status,
+          'order.cancel_reason': reason,
+          ...(refundResult?.refundId && { 'payment.refund_id': refundResult.refundId }),
+        });
+
+        let message = 'Order cancelled';
+        if (refundResult) {
+          message = refundResult.refundId
+            ? 'Order cancelled and refunded'
+            : 'Order cancelled; refund pending';
+        }
+
+        res.json({
+          order: {
+            ...order,
+            items,
+            refund: refundResult,
+          },
+          message,
+        });
+      }
+    );
+  })
+);
+
+/**
+ * Move an order through fulfilment (e.g. confirmed → shipped → delivered)
+ * PATCH /api/orders/:id/status
+ */
+router.patch(
+  '/:id/status',
+  [
+    body('status')
+      .isIn(Object.values(OrderStatus))
+      .withMessage(`Status must be one of: ${Object.values(OrderStatus).join(', ')}`),
+    body('reason').optional().isString().isLength({ max: 255 }).withMessage('Reason must be a string'),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const orderId = parseInt(req.params.id, 10);
+    const { status, reason } = req.body;
+
+    if (isNaN(orderId)) {
+      const error = new Error('Invalid order ID');
+      error.code = 'VALIDATION_ERROR';
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return withSpan(
+      'order.update_status',
+      async (span) => {
+        span.setAttributes({
+          'order.id': orderId,
+          'order.requested_status': status,
+        });
+
+        // Cancellation, refunds and confirmation have side effects owned by their own flows
+        if (!MANUAL_STATUSES.includes(status)) {
+          const error = new Error(
+            status === OrderStatus.CANCELLED || status === OrderStatus.REFUNDED
+              ? `Use POST /api/orders/${orderId}/cancel to set status '${status}'`
+              : `Status '${status}' is set by the order workflow and cannot be set directly`
+          );
+          error.code = 'STATUS_NOT_MANUALLY_SETTABLE';
+          error.statusCode = 409;
+          error.details = { allowed: MANUAL_STATUSES };
+          throw error;
+        }
+
+        const transition = await withTransaction((client) =>
+          transitionOrder(client, orderId, { status, reason: reason || 'manual_update' })
+        );
+
+        await cache.del(`order:${orderId}`);
+
+        span.setAttribute('order.status', transition.to);
+
+        logger.info('Order status updated', {
+          'order.id': orderId,
+          'order.status_from': transition.from,
+          'order.status_to': transition.to,
+        });
+
+        res.json({
+          order: {
+            id: orderId,
+            status: transition.to,
+            payment_status: transition.paymentTo,
+            previous_status: transition.from,
+            allowed_transitions: allowedTransitions(transition.to),
+          },
+          message: `Order status changed from ${transition.from} to ${transition.to}`,
+        });
+      }
+    );
+  })
+);
+
 export default router;
@@ -1,53 +1,222 @@
 import express from 'express';
+import { body, query as queryParam } from 'express-validator';
 import { query } from '../services/database.js';
 import * as cache from '../services/cache.js';
+import * as currency from '../services/currency.js';
+import * as productService from '../services/products.js';
+import * as reviews from '../services/reviews.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { handleValidationErrors } from '../middleware/validator.js';
+import { requireAdminToken } from '../middleware/adminAuth.js';
 import { withSpan, addEvent } from '../utils/tracer.js';
 
 const router = express.Router();
 
+const SLUG_PATTERN = /^[a-z0-9-]{1,100}$/;
+
+/**
+ * Cache key for one page of the product list: every parameter that changes
+ * the result is part of it (the currency only matters for price filters)
+ */
+function listCacheKey(params) {
+  const keyParams = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  return `products:list:${new URLSearchParams(keyParams).toString()}`;
+}
+
 /**
- * Get all products
- * GET /api/products
+ * List products, one page at a time
+ * GET /api/products?limit=20&cursor=...&sort=price&order=desc&minPrice=50&maxPrice=500&inStock=true
+ * GET /api/products?category=audio&tag=wireless,portable
+ * Prices and price filters use ?currency= / Accept-Currency (cache holds base prices)
  */
 router.get(
   '/',
+  [
+    queryParam('limit')
+      .optional()
+      .isInt({ min: 1, max: productService.MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${productService.MAX_PAGE_SIZE}`)
+      .toInt(),
+    queryParam('cursor').optional().isString().isLength({ max: 500 }),
+    queryParam('sort')
+      .optional()
+      .isIn(Object.keys(productService.SORTS))
+      .withMessage(`Sort must be one of: ${Object.keys(productService.SORTS).join(', ')}`),
+    queryParam('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+    queryParam('minPrice')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('minPrice must be a number >= 0')
+      .toFloat(),
+    queryParam('maxPrice')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('maxPrice must be a number >= 0')
+      .toFloat(),
+    queryParam('inStock')
+      .optional()
+      .isBoolean()
+      .withMessage('inStock must be a boolean')
+      .toBoolean(),
+    queryParam('category')
+      .optional()
+      .matches(SLUG_PATTERN)
+      .withMessage('Category must be a category slug'),
+    // Comma-separated tag slugs; sorted so equivalent filters share a cache entry
+    queryParam('tag')
+      .optional()
+      .isString()
+      .withMessage('Tag must be a comma-separated list of tag slugs')
+      .bail()
+      .customSanitizer((value) => [...new Set(value.split(',').map((tag) => tag.trim()))].sort())
+      .custom((tags) => tags.length <= productService.MAX_TAG_FILTERS)
+      .withMessage(`At most ${productService.MAX_TAG_FILTERS} tags can be combined`)
+      .custom((tags) => tags.every((tag) => SLUG_PATTERN.test(tag)))
+      .withMessage('Tag must be a comma-separated list of tag slugs'),
+    handleValidationErrors,
+  ],
   asyncHandler(async (req, res) => {
-    const cacheKey = 'products:all';
+    const currencyCode = currency.resolveCurrency(req);
+    const {
+      limit = productService.DEFAULT_PAGE_SIZE,
+      cursor,
+      sort = 'name',
+      order = 'asc',
+      minPrice,
+      maxPrice,
+      inStock = false,
+      category,
+      tag: tags,
+    } = req.query;
+    const hasPriceFilter = minPrice !== undefined || maxPrice !== undefined;
 
-    // Try to get from cache first
-    const cached = await cache.get(cacheKey);
-    if (cached) {
-      addEvent('products.served_from_cache', { count: cached.length });
-      return res.json({
-        products: cached,
-        cached: true,
+    return withSpan('products.list', async (span) => {
+      span.setAttributes({
+        'products.page.limit': limit,
+        'products.page.cursor_present': Boolean(cursor),
+        'products.sort': sort,
+        'products.order': order,
+        'products.filter.in_stock': inStock,
+        ...(minPrice !== undefined && { 'products.filter.min_price': minPrice }),
+        ...(maxPrice !== undefined && { 'products.filter.max_price': maxPrice }),
+        ...(category && { 'products.filter.category': category }),
+        ...(tags && { 'products.filter.tags': tags.join(',') }),
       });
-    }
 
-    // Cache miss - fetch from database
-    const result = await query(`
-      SELECT id, sku, name, description, price, stock_quantity, image_url, created_at
-      FROM products
-      ORDER BY name
-    `);
+      const params = { limit, cursor, sort, order, minPrice, maxPrice, inStock, category, tags };
+      const cacheKey = listCacheKey({ ...params, currency: hasPriceFilter ? currencyCode : null });
 
-    const products = result.rows;
+      // Try to get from cache first
+      let page = await cache.get(cacheKey);
+      const cached = Boolean(page);
 
-    // Store in cache for 5 minutes
-    await cache.set(cacheKey, products, 300);
+      if (cached) {
+        addEvent('products.served_from_cache', { count: page.products.length });
+      } else {
+        // Cache miss - fetch from database
+        page = await productService.listProducts({ ...params, currencyCode });
 
-    addEvent('products.served_from_database', { count: products.length });
+        // Store in cache for 5 minutes
+        await cache.set(cacheKey, page, 300);
 
-    res.json({
-      products,
-      cached: false,
+        addEvent('products.served_from_database', { count: page.products.length });
+      }
+
+      span.setAttributes({
+        'products.page.returned_count': page.products.length,
+        'products.page.total_count': page.total,
+        'products.page.has_more': Boolean(page.nextCursor),
+      });
+
+      res.json({
+        products: page.products.map((product) => currency.priceProduct(product, currencyCode)),
+        count: page.products.length,
+        total: page.total,
+        nextCursor: page.nextCursor,
+        facets: page.facets,
+        currency: currencyCode,
+        cached,
+      });
+    });
+  })
+);
+
+// Suggestions are hit on every keystroke, so they get a short-lived cache entry
+const SUGGEST_CACHE_TTL_SECONDS = parseInt(process.env.SUGGEST_CACHE_TTL_SECONDS || '60', 10);
+
+/**
+ * Autocomplete: top product names for partial or misspelled text
+ * GET /api/products/suggest?q=hedphones&limit=5
+ */
+router.get(
+  '/suggest',
+  [
+    queryParam('q')
+      .isString()
+      .withMessage('Query is required')
+      .bail()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Query must be 2-100 characters'),
+    queryParam('limit')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('Limit must be between 1 and 10')
+      .toInt(),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    // Normalized so "Head  Phones" and "head phones" share a cache entry
+    const q = req.query.q.toLowerCase().replace(/\s+/g, ' ');
+    const limit = req.query.limit ?? 5;
+
+    return withSpan('products.suggest', async (span) => {
+      span.setAttributes({
+        'search.query': q,
+        'suggest.limit': limit,
+        'suggest.similarity_threshold': productService.SUGGEST_SIMILARITY_THRESHOLD,
+      });
+
+      // Not under products:*, so stock movements leave it alone
+      const cacheKey = `${productService.SUGGEST_CACHE_PREFIX}${limit}:${q}`;
+      let suggestions = await cache.get(cacheKey);
+      const cached = Boolean(suggestions);
+
+      if (!cached) {
+        suggestions = await productService.suggestProducts({ q, limit });
+        await cache.set(cacheKey, suggestions, SUGGEST_CACHE_TTL_SECONDS);
+      }
+
+      span.setAttributes({
+        'suggest.match_count': suggestions.length,
+        'suggest.cached': cached,
+      });
+
+      res.json({
+        query: q,
+        suggestions,
+        count: suggestions.length,
+        cached,
+      });
     });
   })
 );
 
 /**
- * Get a single product by ID
+ * Price a product detail payload, including each of its variants
+ */
+function priceDetail(product, currencyCode) {
+  return {
+    ...currency.priceProduct(product, currencyCode),
+    variants: product.variants.map((variant) => currency.priceProduct(variant, currencyCode)),
+  };
+}
+
+/**
+ * Get a single product by ID, with its variants (empty when not sold in variants)
  * GET /api/products/:id
  */
 router.get(
@@ -62,6 +231,7 @@ router.get(
       throw error;
     }
 
+    const currencyCode = currency.resolveCurrency(req);
     const cacheKey = `product:${productId}`;
 
     // Try cache first
@@ -69,16 +239,17 @@ router.get(
     if (cached) {
       addEvent('product.served_from_cache', { product_id: productId });
       return res.json({
-        product: cached,
+        product: priceDetail(cached, currencyCode),
         cached: true,
       });
     }
 
     // Fetch from database
     const result = await query(
-      `SELECT id, sku, name, description, price, stock_quantity, image_url, created_at
+      `SELECT id, sku, name, description, price, stock_quantity, image_url, category_id,
+              rating_avg, rating_count, created_at
        FROM products
-       WHERE id = $1`,
+       WHERE id = $1 AND deleted_at IS NULL`,
       [productId]
     );
 
@@ -89,63 +260,328 @@ router.get(
       throw error;
     }
 
-    const product = result.rows[0];
+    const product = {
+      ...result.rows[0],
+      variants: await productService.getProductVariants(productId),
+    };
 
-    // Cache for 5 minutes
+    // Cache for 5 minutes (stock changes invalidate it)
     await cache.set(cacheKey, product, 300);
 
     addEvent('product.served_from_database', { product_id: productId });
 
     res.json({
-      product,
+      product: priceDetail(product, currencyCode),
       cached: false,
     });
   })
 );
 
 /**
- * Search products by name
- * GET /api/products/search?q=laptop
+ * Full-text search, ranked, with prefix matching on the last word
+ * GET /api/products/search/query?q=wireless+head&limit=20&offset=0
  */
 router.get(
   '/search/query',
+  [
+    queryParam('q')
+      .isString()
+      .withMessage('Search query is required')
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Search query must be 1-200 characters'),
+    queryParam('limit')
+      .optional()
+      .isInt({ min: 1, max: productService.MAX_SEARCH_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${productService.MAX_SEARCH_PAGE_SIZE}`)
+      .toInt(),
+    queryParam('offset')
+      .optional()
+      .isInt({ min: 0, max: 10000 })
+      .withMessage('Offset must be between 0 and 10000')
+      .toInt(),
+    handleValidationErrors,
+  ],
   asyncHandler(async (req, res) => {
-    const searchQuery = req.query.q;
-
-    if (!searchQuery) {
-      const error = new Error('Search query is required');
-      error.code = 'VALIDATION_ERROR';
-      error.statusCode = 400;
-      throw error;
-    }
+    const { q: searchQuery, limit = productService.DEFAULT_PAGE_SIZE, offset = 0 } = req.query;
+    const currencyCode = currency.resolveCurrency(req);
 
     return withSpan(
       'products.search',
       async (span) => {
         span.setAttribute('search.query', searchQuery);
 
-        const result = await query(
-          `SELECT id, sku, name, description, price, stock_quantity, image_url
-           FROM products
-           WHERE name ILIKE $1 OR description ILIKE $1
-           ORDER BY name`,
-          [`%${searchQuery}%`]
-        );
+        const { products, total } = await productService.searchProducts({
+          q: searchQuery,
+          limit,
+          offset,
+        });
 
-        span.setAttribute('search.results_count', result.rows.length);
+        span.setAttribute('search.results_count', products.length);
         addEvent('products.searched', {
           query: searchQuery,
-          count: result.rows.length,
+          count: products.length,
+          total,
         });
 
+        const nextOffset = offset + products.length;
+
         res.json({
-          products: result.rows,
-          count: result.rows.length,
+          products: products.map((product) => currency.priceProduct(product, currencyCode)),
+          count: products.length,
+          total,
+          limit,
+          offset,
+          nextOffset: nextOffset < total ? nextOffset : null,
           query: searchQuery,
+          currency: currencyCode,
         });
       }
     );
   })
 );
 
+/**
+ * Parse a numeric :id route parameter
+ */
+function parseId(value) {
+  const productId = parseInt(value, 10);
+
+  if (isNaN(productId)) {
+    const error = new Error('Invalid product ID');
+    error.code = 'VALIDATION_ERROR';
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return productId;
+}
+
+/**
+ * Validators for catalog fields
+ * `required` makes sku, name and price mandatory (POST, PUT); PATCH takes any subset.
+ */
+function productValidators({ required }) {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('sku')
+      .isString()
+      .withMessage('SKU is required')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{1,50}$/)
+      .withMessage('SKU must be 1-50 letters, digits, dashes or underscores'),
+    field('name')
+      .isString()
+      .withMessage('Name is required')
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Name must be 1-255 characters'),
+    field('price')
+      .isDecimal({ decimal_digits: '0,2' })
+      .withMessage('Price must be a decimal with at most 2 decimal places')
+      .custom((price) => Number(price) > 0 && Number(price) < 1e8)
+      .withMessage('Price must be greater than 0 and less than 100000000'),
+    body('description')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('Description must be a string'),
+    body('image_url')
+      .optional({ values: 'null' })
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('Image URL must be an http(s) URL'),
+    body('weight_grams')
+      .optional()
+      .isInt({ min: 0, max: 1000000 })
+      .withMessage('Weight must be 0-1000000 grams')
+      .toInt(),
+    body('category_id')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Category ID must be an integer')
+      .toInt(),
+  ];
+}
+
+// Stock only changes through the inventory ledger once a product exists
+const noStockChange = body('stock_quantity')
+  .not()
+  .exists()
+  .withMessage('Use POST /api/inventory/:productId/adjust to change stock');
+
+/**
+ * Create a product
+ * POST /api/products
+ */
+router.post(
+  '/',
+  requireAdminToken,
+  [
+    ...productValidators({ required: true }),
+    body('stock_quantity')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Stock quantity must be 0 or more')
+      .toInt(),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const product = await productService.createProduct(req.body);
+
+    res.set('Location', `/api/products/${product.id}`);
+    res.status(201).json({
+      product,
+      message: 'Product created',
+    });
+  })
+);
+
+/**
+ * Replace a product's catalog fields (omitted optional fields are cleared)
+ * PUT /api/products/:id
+ */
+router.put(
+  '/:id',
+  requireAdminToken,
+  [...productValidators({ required: true }), noStockChange, handleValidationErrors],
+  asyncHandler(async (req, res) => {
+    const product = await productService.updateProduct(parseId(req.params.id), {
+      description: null,
+      image_url: null,
+      weight_grams: productService.DEFAULT_WEIGHT_GRAMS,
+      category_id: null,
+      ...req.body,
+    });
+
+    res.json({
+      product,
+      message: 'Product updated',
+    });
+  })
+);
+
+/**
+ * Update some of a product's catalog fields
+ * PATCH /api/products/:id
+ */
+router.patch(
+  '/:id',
+  requireAdminToken,
+  [...productValidators({ required: false }), noStockChange, handleValidationErrors],
+  asyncHandler(async (req, res) => {
+    const product = await productService.updateProduct(parseId(req.params.id), req.body);
+
+    res.json({
+      product,
+      message: 'Product updated',
+    });
+  })
+);
+
+/**
+ * Soft-delete a product (order history keeps referring to it)
+ * DELETE /api/products/:id
+ */
+router.delete(
+  '/:id',
+  requireAdminToken,
+  asyncHandler(async (req, res) => {
+    const product = await productService.deleteProduct(parseId(req.params.id));
+
+    res.json({
+      product,
+      message: 'Product deleted',
+    });
+  })
+);
+
+/**
+ * A product's reviews, newest first, with its average rating and count
+ * GET /api/products/:id/reviews?limit=10&offset=0
+ */
+router.get(
+  '/:id/reviews',
+  [
+    queryParam('limit')
+      .optional()
+      .isInt({ min: 1, max: reviews.MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${reviews.MAX_PAGE_SIZE}`)
+      .toInt(),
+    queryParam('offset')
+      .optional()
+      .isInt({ min: 0, max: 10000 })
+      .withMessage('Offset must be between 0 and 10000')
+      .toInt(),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const productId = parseId(req.params.id);
+    const { limit = reviews.DEFAULT_PAGE_SIZE, offset = 0 } = req.query;
+
+    // Posting a review clears every page under the product's prefix
+    const cacheKey = `${reviews.reviewsCachePrefix(productId)}${limit}:${offset}`;
+    let page = await cache.get(cacheKey);
+    const cached = Boolean(page);
+
+    if (cached) {
+      addEvent('reviews.served_from_cache', { product_id: productId });
+    } else {
+      page = await reviews.listReviews(productId, { limit, offset });
+      await cache.set(cacheKey, page, 300);
+    }
+
+    const nextOffset = offset + page.reviews.length;
+
+    res.json({
+      reviews: page.reviews,
+      count: page.reviews.length,
+      total: page.total,
+      limit,
+      offset,
+      nextOffset: nextOffset < page.total ? nextOffset : null,
+      rating: page.rating,
+      cached,
+    });
+  })
+);
+
+/**
+ * Review a product; the user needs a confirmed order containing it
+ * POST /api/products/:id/reviews
+ */
+router.post(
+  '/:id/reviews',
+  [
+    body('userId').isInt({ min: 1 }).withMessage('User ID must be an integer').toInt(),
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be 1-5').toInt(),
+    body('title')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title must be 1-200 characters'),
+    body('body')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Review text must be 1-5000 characters'),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    const productId = parseId(req.params.id);
+    const { userId, rating, title, body: text } = req.body;
+
+    const result = await reviews.createReview(productId, { userId, rating, title, body: text });
+
+    res.set('Location', `/api/products/${productId}/reviews`);
+    res.status(201).json({
+      review: result.review,
+      rating: result.rating,
+      message: 'Review posted',
+    });
+  })
+);
+
 export default router;
@@ -0,0 +1,76 @@
+import express from 'express';
+import { body } from 'express-validator';
+import * as webhooks from '../services/webhooks.js';
+import * as orderSaga from '../services/orderSaga.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { handleValidationErrors } from '../middleware/validator.js';
+import { setAttributes } from '../utils/tracer.js';
+
+const router = express.Router();
+
+const TOLERANCE_SECONDS = parseInt(
+  process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS || String(webhooks.DEFAULT_TOLERANCE_SECONDS),
+  10
+);
+
+/**
+ * Reject webhooks whose HMAC signature or timestamp does not check out
+ * Runs before body validation so unsigned requests learn nothing about the schema.
+ */
+function verifyPaymentSignature(req, res, next) {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+  if (!secret) {
+    const error = new Error('Payment webhooks are disabled; set PAYMENT_WEBHOOK_SECRET');
+    error.code = 'WEBHOOKS_DISABLED';
+    error.statusCode = 503;
+    return next(error);
+  }
+
+  try {
+    const { ageSeconds } = webhooks.verifySignature(
+      req.rawBody ? req.rawBody.toString('utf8') : '',
+      req.get(webhooks.SIGNATURE_HEADER),
+      secret,
+      TOLERANCE_SECONDS
+    );
+
+    setAttributes({ 'webhook.signature_valid': true, 'webhook.age_seconds': ageSeconds });
+    next();
+  } catch (error) {
+    setAttributes({ 'webhook.signature_valid': false });
+    next(error);
+  }
+}
+
+/**
+ * Payment outcome from the gateway (async payment mode)
+ * POST /api/webhooks/payment
+ */
+router.post(
+  '/payment',
+  [
+    verifyPaymentSignature,
+    body('id').isString().isLength({ min: 1, max: 100 }).withMessage('Event id is required'),
+    body('type')
+      .isIn(['payment.succeeded', 'payment.failed'])
+      .withMessage('Type must be payment.succeeded or payment.failed'),
+    body('data.orderId').isInt().withMessage('data.orderId must be an integer').toInt(),
+    body('data.transactionId').isString().withMessage('data.transactionId is required'),
+    body('data.reason').optional().isString(),
+    handleValidationErrors,
+  ],
+  asyncHandler(async (req, res) => {
+    // The saga drops the order's cached copy when the webhook changes it
+    const action = await orderSaga.handlePaymentWebhook(req.body);
+
+    res.json({
+      received: true,
+      eventId: req.body.id,
+      action,
+      ...(action === 'duplicate' && { duplicate: true }),
+    });
+  })
+);
+
+export default router;
@@ -24,10 +24,25 @@ async function startServer() {
       console.log('📊 Available Endpoints:');
       console.log('   GET  /api/products          - List all products');
       console.log('   GET  /api/products/:id      - Get product by ID');
-      console.log('   GET  /api/products/search   - Search products');
+      console.log('   GET  /api/products/search/query - Full-text search');
+      console.log('   GET  /api/products/suggest  - Typo-tolerant autocomplete');
+      console.log('   POST /api/products          - Create product (X-Admin-Token)');
+      console.log('   GET  /api/products/:id/reviews - Reviews and rating');
+      console.log('   POST /api/products/:id/reviews - Review a purchased product');
+      console.log('   GET  /api/categories        - Category tree');
       console.log('   POST /api/orders            - Create new order');
+      console.log('   POST /api/orders/quote      - Price a cart (tax, shipping, coupon)');
       console.log('   GET  /api/orders/:id        - Get order by ID');
       console.log('   GET  /api/orders/user/:id   - Get user orders');
+      console.log('   POST /api/orders/:id/cancel - Cancel and refund order');
+      console.log('   PATCH /api/orders/:id/status - Ship / deliver order');
+      console.log('   POST /api/carts             - Create a cart (then /:id/items)');
+      console.log('   POST /api/coupons           - Manage coupons (X-Admin-Token)');
+      console.log('   POST /api/inventory/holds   - Hold stock for a cart');
+      console.log('   GET  /api/inventory/:id     - Stock level and ledger');
+      console.log('   GET  /api/inventory/low-stock - Low-stock report');
+      console.log('   POST /api/webhooks/payment  - Signed payment outcome (async mode)');
+      console.log('   PUT  /api/admin/faults      - Fault injection rules (X-Admin-Token)');
       console.log('═══════════════════════════════════════════════════════════');
       console.log('');
     });
@@ -1,4 +1,5 @@
 import { withSpan, addEvent } from '../utils/tracer.js';
+import { applyFault } from './faultInjection.js';
 
 /**
  * In-memory cache store
@@ -42,6 +43,8 @@ export async function get(key) {
         'cache.type': 'in-memory',
       });
 
+      await applyFault('cache.get', { key });
+
       const entry = cacheStore.get(key);
       const now = Date.now();
 
@@ -78,6 +81,8 @@ export async function set(key, value, ttlSeconds = 300) {
         'cache.type': 'in-memory',
       });
 
+      await applyFault('cache.set', { key });
+
       const expiresAt = Date.now() + (ttlSeconds * 1000);
       cacheStore.set(key, { value, expiresAt });
 
@@ -100,6 +105,8 @@ export async function del(key) {
         'cache.type': 'in-memory',
       });
 
+      await applyFault('cache.delete', { key });
+
       const existed = cacheStore.has(key);
       cacheStore.delete(key);
 
@@ -122,6 +129,8 @@ export async function deletePattern(pattern) {
         'cache.type': 'in-memory',
       });
 
+      await applyFault('cache.delete_pattern', { pattern });
+
       // Convert Redis pattern to regex (basic support for *)
       const regexPattern = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
 
@@ -0,0 +1,512 @@
+import { randomUUID } from 'crypto';
+import { query, withTransaction } from './database.js';
+import { BASE_CURRENCY, toMinorUnits, fromMinorUnits } from './currency.js';
+import { variantNotFound, variantRequired } from './products.js';
+import { withSpan, addEvent } from '../utils/tracer.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Server-side carts
+ *
+ * Carts are identified by a random UUID (there are no sessions, so the id is
+ * the capability) and expire after CART_TTL_SECONDS without changes; every
+ * write pushes expires_at forward. Items record the base-currency price seen
+ * when they were added; the order is priced afresh at checkout and the cart
+ * flags items whose price has changed since. A line is a product, or one
+ * variant of a product that is sold in variants ({ productId, variantId }).
+ *
+ * Checkout marks the cart checked_out in the order's create transaction
+ * (markCheckedOut), so a cart can only become one order; a rolled-back
+ * order reopens it (reopenCart).
+ */
+
+export const CartStatus = {
+  ACTIVE: 'active',
+  CHECKED_OUT: 'checked_out',
+};
+
+export const CART_TTL_SECONDS = parseInt(process.env.CART_TTL_SECONDS || '604800', 10);
+
+// Expired carts are kept this long (for support/debugging) before being purged
+const CART_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+function cartNotFound(cartId) {
+  const error = new Error(`Cart ${cartId} not found`);
+  error.code = 'CART_NOT_FOUND';
+  error.statusCode = 404;
+  return error;
+}
+
+function cartExpired(cartId) {
+  const error = new Error(`Cart ${cartId} has expired`);
+  error.code = 'CART_EXPIRED';
+  error.statusCode = 410;
+  return error;
+}
+
+function itemNotInCart(cartId, { productId, variantId }) {
+  const what =
+    variantId != null ? `Variant ${variantId} of product ${productId}` : `Product ${productId}`;
+  const error = new Error(`${what} is not in cart ${cartId}`);
+  error.code = 'NOT_FOUND';
+  error.statusCode = 404;
+  return error;
+}
+
+function cartNotActive(cartId) {
+  const error = new Error(`Cart ${cartId} has already been checked out`);
+  error.code = 'CART_CHECKED_OUT';
+  error.statusCode = 409;
+  return error;
+}
+
+/**
+ * Load a cart with its items, current prices and stock
+ */
+async function loadCart(db, cartId) {
+  const cartResult = await db.query(
+    `SELECT id, user_id, status, order_id, expires_at, created_at, updated_at,
+            expires_at <= CURRENT_TIMESTAMP AS expired
+     FROM carts
+     WHERE id = $1`,
+    [cartId]
+  );
+
+  if (cartResult.rows.length === 0) {
+    return null;
+  }
+
+  const itemsResult = await db.query(
+    `SELECT ci.product_id, ci.variant_id, ci.quantity, ci.unit_price,
+            COALESCE(v.sku, p.sku) AS sku, p.name, v.name AS variant_name, p.image_url,
+            COALESCE(v.price, p.price) AS current_price,
+            COALESCE(v.stock_quantity, p.stock_quantity) AS stock_quantity
+     FROM cart_items ci
+     JOIN products p ON p.id = ci.product_id
+     LEFT JOIN product_variants v ON v.id = ci.variant_id
+     WHERE ci.cart_id = $1
+     ORDER BY ci.added_at, ci.product_id, ci.variant_id`,
+    [cartId]
+  );
+
+  const items = itemsResult.rows.map((row) => ({
+    productId: row.product_id,
+    variantId: row.variant_id,
+    sku: row.sku,
+    name: row.name,
+    variantName: row.variant_name,
+    imageUrl: row.image_url,
+    quantity: row.quantity,
+    price: row.unit_price,
+    currentPrice: row.current_price,
+    priceChanged: row.unit_price !== row.current_price,
+    inStock: row.stock_quantity >= row.quantity,
+  }));
+
+  const subtotalMinor = items.reduce(
+    (sum, item) => sum + toMinorUnits(item.currentPrice, BASE_CURRENCY) * item.quantity,
+    0
+  );
+
+  return {
+    ...cartResult.rows[0],
+    currency: BASE_CURRENCY,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: fromMinorUnits(subtotalMinor, BASE_CURRENCY),
+  };
+}
+
+/**
+ * Lock an active, unexpired cart for a change
+ */
+async function lockActiveCart(client, cartId) {
+  const result = await client.query(
+    `SELECT id, status, expires_at <= CURRENT_TIMESTAMP AS expired
+     FROM carts
+     WHERE id = $1
+     FOR UPDATE`,
+    [cartId]
+  );
+
+  if (result.rows.length === 0) {
+    throw cartNotFound(cartId);
+  }
+
+  const cart = result.rows[0];
+  if (cart.status !== CartStatus.ACTIVE) {
+    throw cartNotActive(cartId);
+  }
+  if (cart.expired) {
+    throw cartExpired(cartId);
+  }
+
+  return cart;
+}
+
+/**
+ * Check a cart line's product (and variant) exists and has enough stock for
+ * the quantity in the cart; returns the row with the line's sku, price and stock
+ */
+async function checkItem(client, { productId, variantId = null }, quantity) {
+  const result = await client.query(
+    `SELECT id, sku, price, stock_quantity,
+            EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id)
+              AS has_variants
+     FROM products
+     WHERE id = $1 AND deleted_at IS NULL`,
+    [productId]
+  );
+
+  if (result.rows.length === 0) {
+    const error = new Error(`Product ${productId} not found`);
+    error.code = 'NOT_FOUND';
+    error.statusCode = 404;
+    throw error;
+  }
+
+  let item = result.rows[0];
+
+  if (variantId != null) {
+    const variantResult = await client.query(
+      `SELECT v.id, v.sku, COALESCE(v.price, p.price) AS price, v.stock_quantity
+       FROM product_variants v
+       JOIN products p ON p.id = v.product_id
+       WHERE v.id = $1 AND v.product_id = $2`,
+      [variantId, productId]
+    );
+
+    if (variantResult.rows.length === 0) {
+      throw variantNotFound(productId, variantId);
+    }
+    item = variantResult.rows[0];
+  } else if (item.has_variants) {
+    throw variantRequired(productId);
+  }
+
+  if (item.stock_quantity < quantity) {
+    addEvent('cart.insufficient_inventory', {
+      product_id: productId,
+      ...(variantId != null && { variant_id: variantId }),
+      requested: quantity,
+      available: item.stock_quantity,
+    });
+
+    const error = new Error(`Only ${item.stock_quantity} of ${item.sku} in stock`);
+    error.code = 'INSUFFICIENT_INVENTORY';
+    error.statusCode = 409;
+    error.details = [
+      {
+        productId,
+        ...(variantId != null && { variantId }),
+        sku: item.sku,
+        requested: quantity,
+        available: item.stock_quantity,
+      },
+    ];
+    throw error;
+  }
+
+  return item;
+}
+
+/**
+ * Record activity on a cart: bump updated_at and push out its expiry
+ */
+async function touchCart(client, cartId) {
+  await client.query(
+    `UPDATE carts
+     SET updated_at = CURRENT_TIMESTAMP,
+         expires_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+     WHERE id = $1`,
+    [cartId, CART_TTL_SECONDS]
+  );
+}
+
+/**
+ * Set a cart line to an absolute quantity at its current price
+ */
+async function upsertItem(client, cartId, line, quantity) {
+  const item = await checkItem(client, line, quantity);
+
+  // Conflict target matches the idx_cart_items_line unique index
+  await client.query(
+    `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, unit_price)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (cart_id, product_id, (COALESCE(variant_id, 0))) DO UPDATE SET
+       quantity = EXCLUDED.quantity,
+       unit_price = EXCLUDED.unit_price,
+       updated_at = CURRENT_TIMESTAMP`,
+    [cartId, line.productId, line.variantId ?? null, quantity, item.price]
+  );
+
+  return item;
+}
+
+async function getItemQuantity(client, cartId, { productId, variantId = null }) {
+  const result = await client.query(
+    `SELECT quantity FROM cart_items
+     WHERE cart_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3`,
+    [cartId, productId, variantId]
+  );
+  return result.rows[0]?.quantity ?? null;
+}
+
+/**
+ * Create a cart, optionally with initial items
+ */
+export async function createCart({ userId = null, items = [] } = {}) {
+  return withSpan('cart.create', async (span) => {
+    const cartId = randomUUID();
+    span.setAttributes({
+      'cart.id': cartId,
+      'cart.items_count': items.length,
+      ...(userId != null && { 'cart.user_id': userId }),
+    });
+
+    const cart = await withTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO carts (id, user_id, status, expires_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(secs => $4))`,
+        [cartId, userId, CartStatus.ACTIVE, CART_TTL_SECONDS]
+      );
+
+      for (const item of items) {
+        await upsertItem(client, cartId, item, item.quantity);
+      }
+
+      return loadCart(client, cartId);
+    });
+
+    addEvent('cart.created', { cart_id: cartId, items_count: items.length });
+    return cart;
+  });
+}
+
+/**
+ * Get a cart (any status); expired carts are reported as 410
+ */
+export async function getCart(cartId) {
+  const cart = await loadCart({ query }, cartId);
+
+  if (!cart) {
+    throw cartNotFound(cartId);
+  }
+  if (cart.status === CartStatus.ACTIVE && cart.expired) {
+    throw cartExpired(cartId);
+  }
+
+  return cart;
+}
+
+/**
+ * Add a product (or a variant of it) to a cart, on top of any quantity already in it
+ * Stock is checked against the new total and the current price is captured.
+ */
+export async function addItem(cartId, { productId, variantId = null, quantity }) {
+  return withSpan('cart.add_item', async (span) => {
+    span.setAttributes({
+      'cart.id': cartId,
+      'product.id': productId,
+      ...(variantId != null && { 'product.variant_id': variantId }),
+      'cart.quantity': quantity,
+    });
+
+    return withTransaction(async (client) => {
+      await lockActiveCart(client, cartId);
+
+      const line = { productId, variantId };
+      const existing = (await getItemQuantity(client, cartId, line)) ?? 0;
+      const item = await upsertItem(client, cartId, line, existing + quantity);
+      await touchCart(client, cartId);
+
+      addEvent('cart.item_added', {
+        cart_id: cartId,
+        product_id: productId,
+        ...(variantId != null && { variant_id: variantId }),
+        quantity: existing + quantity,
+        price: item.price,
+      });
+
+      return loadCart(client, cartId);
+    });
+  });
+}
+
+/**
+ * Change the quantity of a line already in a cart (line is { productId, variantId })
+ */
+export async function updateItem(cartId, line, quantity) {
+  return withSpan('cart.update_item', async (span) => {
+    const { productId, variantId = null } = line;
+    span.setAttributes({
+      'cart.id': cartId,
+      'product.id': productId,
+      ...(variantId != null && { 'product.variant_id': variantId }),
+      'cart.quantity': quantity,
+    });
+
+    return withTransaction(async (client) => {
+      await lockActiveCart(client, cartId);
+
+      if ((await getItemQuantity(client, cartId, line)) === null) {
+        throw itemNotInCart(cartId, line);
+      }
+
+      await upsertItem(client, cartId, line, quantity);
+      await touchCart(client, cartId);
+
+      addEvent('cart.item_updated', {
+        cart_id: cartId,
+        product_id: productId,
+        ...(variantId != null && { variant_id: variantId }),
+        quantity,
+      });
+
+      return loadCart(client, cartId);
+    });
+  });
+}
+
+/**
+ * Remove a line from a cart (line is { productId, variantId })
+ */
+export async function removeItem(cartId, line) {
+  return withSpan('cart.remove_item', async (span) => {
+    const { productId, variantId = null } = line;
+    span.setAttributes({
+      'cart.id': cartId,
+      'product.id': productId,
+      ...(variantId != null && { 'product.variant_id': variantId }),
+    });
+
+    return withTransaction(async (client) => {
+      await lockActiveCart(client, cartId);
+
+      const result = await client.query(
+        `DELETE FROM cart_items
+         WHERE cart_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3`,
+        [cartId, productId, variantId]
+      );
+
+      if (result.rowCount === 0) {
+        throw itemNotInCart(cartId, line);
+      }
+
+      await touchCart(client, cartId);
+      addEvent('cart.item_removed', {
+        cart_id: cartId,
+        product_id: productId,
+        ...(variantId != null && { variant_id: variantId }),
+      });
+
+      return loadCart(client, cartId);
+    });
+  });
+}
+
+/**
+ * Items to order for a cart checkout
+ * Rejects carts that are expired, already checked out, empty or owned by
+ * another user.
+ */
+export async function getCheckoutItems(cartId, { userId }) {
+  const cart = await getCart(cartId);
+
+  if (cart.status !== CartStatus.ACTIVE) {
+    throw cartNotActive(cartId);
+  }
+
+  if (cart.user_id !== null && cart.user_id !== Number(userId)) {
+    const error = new Error(`Cart ${cartId} belongs to another user`);
+    error.code = 'CART_USER_MISMATCH';
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (cart.items.length === 0) {
+    const error = new Error(`Cart ${cartId} is empty`);
+    error.code = 'CART_EMPTY';
+    error.statusCode = 422;
+    throw error;
+  }
+
+  return cart.items.map((item) => ({
+    productId: item.productId,
+    variantId: item.variantId,
+    quantity: item.quantity,
+  }));
+}
+
+/**
+ * Close a cart for its order (inside the order's create transaction)
+ * Only one order can win: a cart already checked out fails the transaction.
+ */
+export async function markCheckedOut(client, cartId, orderId) {
+  const result = await client.query(
+    `UPDATE carts
+     SET status = $3, order_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = $4
+     RETURNING id`,
+    [cartId, orderId, CartStatus.CHECKED_OUT, CartStatus.ACTIVE]
+  );
+
+  if (result.rows.length === 0) {
+    throw cartNotActive(cartId);
+  }
+
+  addEvent('cart.checked_out', { cart_id: cartId, order_id: orderId });
+}
+
+/**
+ * Reopen the cart of an order that was rolled back, with a fresh expiry
+ */
+export async function reopenCart(client, orderId) {
+  const result = await client.query(
+    `UPDATE carts
+     SET status = $2, order_id = NULL, updated_at = CURRENT_TIMESTAMP,
+         expires_at = CURRENT_TIMESTAMP + make_interval(secs => $3)
+     WHERE order_id = $1
+     RETURNING id`,
+    [orderId, CartStatus.ACTIVE, CART_TTL_SECONDS]
+  );
+
+  if (result.rows.length > 0) {
+    addEvent('cart.reopened', { cart_id: result.rows[0].id, order_id: orderId });
+  }
+}
+
+/**
+ * Delete active carts that expired more than CART_RETENTION_SECONDS ago
+ */
+export async function purgeExpiredCarts() {
+  return withSpan('cart.purge_expired', async (span) => {
+    const result = await query(
+      `DELETE FROM carts
+       WHERE status = $1
+         AND expires_at < CURRENT_TIMESTAMP - make_interval(secs => $2)`,
+      [CartStatus.ACTIVE, CART_RETENTION_SECONDS]
+    );
+
+    span.setAttribute('cart.purged_count', result.rowCount);
+    if (result.rowCount > 0) {
+      logger.info('Expired carts purged', { 'cart.purged_count': result.rowCount });
+    }
+
+    return { purged: result.rowCount };
+  });
+}
+
+export default {
+  CartStatus,
+  CART_TTL_SECONDS,
+  createCart,
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  getCheckoutItems,
+  markCheckedOut,
+  reopenCart,
+  purgeExpiredCarts,
+};
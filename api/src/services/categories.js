@@ -0,0 +1,43 @@
+import { query } from './database.js';
+import { withSpan } from '../utils/tracer.js';
+
+/**
+ * Product categories
+ *
+ * Categories form a tree through parent_id. A product is assigned to one
+ * category and is listed under that category and every ancestor of it, so
+ * filtering by "computing" also returns laptops and monitors.
+ */
+
+/**
+ * All categories as a tree, siblings in sort_order then name order
+ */
+export async function getCategoryTree() {
+  return withSpan('categories.tree', async (span) => {
+    const result = await query(
+      `SELECT id, slug, name, description, parent_id
+       FROM categories
+       ORDER BY sort_order, name`
+    );
+
+    // Map keeps the query order, so children end up sorted too
+    const nodes = new Map(result.rows.map((row) => [row.id, { ...row, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+      const parent = nodes.get(node.parent_id);
+      (parent ? parent.children : roots).push(node);
+    }
+
+    span.setAttributes({
+      'categories.count': nodes.size,
+      'categories.root_count': roots.length,
+    });
+
+    return roots;
+  });
+}
+
+export default {
+  getCategoryTree,
+};
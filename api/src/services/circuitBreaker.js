@@ -0,0 +1,143 @@
+import { addEvent } from '../utils/tracer.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Circuit breaker
+ *
+ *   closed    → open       after failureThreshold consecutive failures
+ *   open      → half_open  once resetTimeoutMs has passed
+ *   half_open → closed     when the single trial call succeeds
+ *   half_open → open       when it fails
+ *
+ * Only errors for which isFailure(error) is true count against the breaker,
+ * so a card decline (the dependency answered) does not trip it.
+ */
+
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+/**
+ * Create a breaker guarding one dependency
+ */
+export function createCircuitBreaker({
+  name,
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  isFailure = () => true,
+}) {
+  let state = CircuitState.CLOSED;
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+
+  function transition(to) {
+    const from = state;
+    state = to;
+
+    addEvent('circuit_breaker.state_change', { breaker: name, from, to });
+
+    if (to === CircuitState.OPEN) {
+      openedAt = Date.now();
+      logger.warn('Circuit breaker opened', {
+        'circuit_breaker.name': name,
+        'circuit_breaker.failures': consecutiveFailures,
+        ...(lastError && { 'circuit_breaker.last_error': lastError }),
+      });
+    } else if (to === CircuitState.CLOSED) {
+      openedAt = null;
+      logger.info('Circuit breaker closed', { 'circuit_breaker.name': name });
+    }
+  }
+
+  function circuitOpenError() {
+    const retryAfterMs = Math.max(0, openedAt + resetTimeoutMs - Date.now());
+    const error = new Error(`${name} is unavailable (circuit open)`);
+    error.code = 'CIRCUIT_OPEN';
+    error.statusCode = 503;
+    error.reason = 'circuit_open';
+    error.details = { breaker: name, retryAfterMs };
+    return error;
+  }
+
+  /**
+   * Run fn through the breaker, failing fast while it is open
+   */
+  async function execute(fn) {
+    if (state === CircuitState.OPEN && Date.now() - openedAt >= resetTimeoutMs) {
+      transition(CircuitState.HALF_OPEN);
+    }
+
+    // While half-open, only one trial call is let through
+    if (state === CircuitState.OPEN || (state === CircuitState.HALF_OPEN && trialInFlight)) {
+      addEvent('circuit_breaker.rejected', { breaker: name, state });
+      throw circuitOpenError();
+    }
+
+    const isTrial = state === CircuitState.HALF_OPEN;
+    if (isTrial) {
+      trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+
+      consecutiveFailures = 0;
+      if (isTrial) {
+        transition(CircuitState.CLOSED);
+      }
+
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        consecutiveFailures++;
+        lastError = error.reason || error.message;
+
+        if (isTrial || consecutiveFailures >= failureThreshold) {
+          transition(CircuitState.OPEN);
+        }
+      } else {
+        consecutiveFailures = 0;
+        if (isTrial) {
+          transition(CircuitState.CLOSED);
+        }
+      }
+
+      throw error;
+    } finally {
+      if (isTrial) {
+        trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Snapshot of the breaker for health checks and span attributes
+   */
+  function getState() {
+    const current =
+      state === CircuitState.OPEN && Date.now() - openedAt >= resetTimeoutMs
+        ? CircuitState.HALF_OPEN
+        : state;
+
+    return {
+      name,
+      state: current,
+      consecutiveFailures,
+      failureThreshold,
+      resetTimeoutMs,
+      ...(openedAt && { openedAt: new Date(openedAt).toISOString() }),
+      ...(lastError && { lastError }),
+    };
+  }
+
+  return { name, execute, getState };
+}
+
+export default {
+  CircuitState,
+  createCircuitBreaker,
+};
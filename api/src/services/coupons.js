@@ -0,0 +1,384 @@
+import { query, withTransaction } from './database.js';
+import * as currency from './currency.js';
+import { withSpan, addEvent } from '../utils/tracer.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Coupons
+ *
+ * A coupon is a percentage or a fixed amount off (fixed amounts and
+ * min_cart_value are in BASE_CURRENCY), optionally limited by a start and
+ * expiry date, a total number of redemptions and a number per user.
+ *
+ * getRedeemableCoupon() checks a coupon while pricing a cart; the binding
+ * check is redeemCoupon(), which runs in the order's transaction and takes
+ * the redemption with a single conditional UPDATE. The coupon row stays
+ * locked until that transaction ends, so parallel checkouts queue behind
+ * each other and a single-use coupon can only be spent once.
+ */
+
+export const COUPON_TYPES = ['percentage', 'fixed'];
+
+// Columns that can be set through the API (code is fixed once created)
+const EDITABLE_FIELDS = [
+  'description',
+  'type',
+  'value',
+  'min_cart_value',
+  'max_redemptions',
+  'per_user_limit',
+  'starts_at',
+  'expires_at',
+  'active',
+];
+
+const COUPON_COLUMNS = `id, code, description, type, value, min_cart_value, max_redemptions,
+  per_user_limit, redemption_count, starts_at, expires_at, active, created_at, updated_at`;
+
+function couponNotFound(id) {
+  const error = new Error(`Coupon ${id} not found`);
+  error.code = 'NOT_FOUND';
+  error.statusCode = 404;
+  return error;
+}
+
+function couponRejected(message, code, details = undefined) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 422;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Why a coupon cannot be used right now, or null if it can
+ * Covers everything except per-user and cart-value limits
+ */
+function unavailableReason(coupon, now = new Date()) {
+  if (!coupon.active) {
+    return couponRejected(`Coupon ${coupon.code} is no longer active`, 'INVALID_COUPON');
+  }
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+    return couponRejected(`Coupon ${coupon.code} is not valid yet`, 'COUPON_NOT_STARTED', {
+      startsAt: coupon.starts_at,
+    });
+  }
+  if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+    return couponRejected(`Coupon ${coupon.code} has expired`, 'COUPON_EXPIRED', {
+      expiresAt: coupon.expires_at,
+    });
+  }
+  if (coupon.max_redemptions !== null && coupon.redemption_count >= coupon.max_redemptions) {
+    return couponRejected(`Coupon ${coupon.code} has been fully redeemed`, 'COUPON_EXHAUSTED');
+  }
+  return null;
+}
+
+async function countUserRedemptions(couponId, userId, db = { query }) {
+  const result = await db.query(
+    'SELECT COUNT(*)::int AS count FROM coupon_redemptions WHERE coupon_id = $1 AND user_id = $2',
+    [couponId, userId]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * List coupons, newest first
+ */
+export async function listCoupons({ active } = {}) {
+  const result = await query(
+    `SELECT ${COUPON_COLUMNS}
+     FROM coupons
+     ${active === undefined ? '' : 'WHERE active = $1'}
+     ORDER BY created_at DESC, id DESC`,
+    active === undefined ? [] : [active]
+  );
+  return result.rows;
+}
+
+/**
+ * Get a coupon by id
+ */
+export async function getCoupon(id) {
+  const result = await query(`SELECT ${COUPON_COLUMNS} FROM coupons WHERE id = $1`, [id]);
+
+  if (result.rows.length === 0) {
+    throw couponNotFound(id);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Create a coupon; codes are stored upper-case and must be unique
+ */
+export async function createCoupon(fields) {
+  return withSpan('coupon.create', async (span) => {
+    const code = fields.code.toUpperCase();
+    span.setAttributes({ 'coupon.code': code, 'coupon.type': fields.type });
+
+    const columns = ['code', ...EDITABLE_FIELDS.filter((field) => fields[field] !== undefined)];
+    const values = [code, ...columns.slice(1).map((field) => fields[field])];
+
+    try {
+      const result = await query(
+        `INSERT INTO coupons (${columns.join(', ')})
+         VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+         RETURNING ${COUPON_COLUMNS}`,
+        values
+      );
+
+      const coupon = result.rows[0];
+      span.setAttribute('coupon.id', coupon.id);
+      logger.info('Coupon created', { 'coupon.id': coupon.id, 'coupon.code': code });
+
+      return coupon;
+    } catch (error) {
+      // unique_violation on coupons.code
+      if (error.code === '23505') {
+        const conflict = new Error(`Coupon ${code} already exists`);
+        conflict.code = 'COUPON_EXISTS';
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Update some of a coupon's fields
+ */
+export async function updateCoupon(id, fields) {
+  return withSpan('coupon.update', async (span) => {
+    span.setAttribute('coupon.id', id);
+
+    const columns = EDITABLE_FIELDS.filter((field) => fields[field] !== undefined);
+    if (columns.length === 0) {
+      return getCoupon(id);
+    }
+
+    return withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT type, value FROM coupons WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        throw couponNotFound(id);
+      }
+
+      // Either field may be omitted, so check the coupon as it will be after the update
+      const type = fields.type ?? current.rows[0].type;
+      const value = fields.value ?? parseFloat(current.rows[0].value);
+      if (type === 'percentage' && value > 100) {
+        const error = new Error('Percentage value cannot exceed 100');
+        error.code = 'VALIDATION_ERROR';
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const result = await client.query(
+        `UPDATE coupons
+         SET ${columns.map((field, index) => `${field} = $${index + 2}`).join(', ')},
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${COUPON_COLUMNS}`,
+        [id, ...columns.map((field) => fields[field])]
+      );
+
+      addEvent('coupon.updated', { coupon_id: id, fields: columns.join(',') });
+      return result.rows[0];
+    });
+  });
+}
+
+/**
+ * Delete a coupon that was never redeemed
+ * Redeemed coupons are kept for the order history; deactivate them instead.
+ */
+export async function deleteCoupon(id) {
+  return withSpan('coupon.delete', async (span) => {
+    span.setAttribute('coupon.id', id);
+
+    return withTransaction(async (client) => {
+      const result = await client.query(
+        'SELECT id, code, redemption_count FROM coupons WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        throw couponNotFound(id);
+      }
+
+      const coupon = result.rows[0];
+      if (coupon.redemption_count > 0) {
+        const error = new Error(
+          `Coupon ${coupon.code} has been redeemed and cannot be deleted; set "active": false instead`
+        );
+        error.code = 'COUPON_IN_USE';
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await client.query('DELETE FROM coupons WHERE id = $1', [id]);
+      logger.info('Coupon deleted', { 'coupon.id': id, 'coupon.code': coupon.code });
+
+      return coupon;
+    });
+  });
+}
+
+/**
+ * Look up a coupon by code and check it can be applied to a cart
+ * subtotalMinor is the cart subtotal in currencyCode; userId is optional
+ * (quotes for anonymous carts skip the per-user check).
+ */
+export async function getRedeemableCoupon(code, { userId = null, subtotalMinor, currencyCode }) {
+  const result = await query(`SELECT ${COUPON_COLUMNS} FROM coupons WHERE code = $1`, [
+    String(code).toUpperCase(),
+  ]);
+
+  if (result.rows.length === 0) {
+    throw couponRejected(`Coupon ${code} is not valid`, 'INVALID_COUPON');
+  }
+
+  const coupon = result.rows[0];
+  const unavailable = unavailableReason(coupon);
+  if (unavailable) {
+    throw unavailable;
+  }
+
+  if (coupon.min_cart_value !== null) {
+    const minimumMinor = currency.convertFromBase(
+      currency.toMinorUnits(coupon.min_cart_value, currency.BASE_CURRENCY),
+      currencyCode
+    );
+
+    if (subtotalMinor < minimumMinor) {
+      const minimum = currency.fromMinorUnits(minimumMinor, currencyCode);
+      throw couponRejected(
+        `Coupon ${coupon.code} needs a cart of at least ${minimum} ${currencyCode}`,
+        'COUPON_MIN_CART_VALUE',
+        { minimum, currency: currencyCode }
+      );
+    }
+  }
+
+  if (userId != null && coupon.per_user_limit !== null) {
+    const used = await countUserRedemptions(coupon.id, userId);
+    if (used >= coupon.per_user_limit) {
+      throw couponRejected(
+        `Coupon ${coupon.code} can only be used ${coupon.per_user_limit} time(s) per customer`,
+        'COUPON_USER_LIMIT'
+      );
+    }
+  }
+
+  return coupon;
+}
+
+/**
+ * Spend a coupon on an order (inside the order's transaction)
+ * The conditional UPDATE both checks and takes the redemption; it holds the
+ * coupon row lock until commit, which also serializes the per-user check.
+ */
+export async function redeemCoupon(client, { code, orderId, userId, discountAmount, currencyCode }) {
+  return withSpan('coupon.redeem', async (span) => {
+    span.setAttributes({ 'coupon.code': code, 'order.id': orderId });
+
+    const result = await client.query(
+      `UPDATE coupons
+       SET redemption_count = redemption_count + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE code = $1
+         AND active
+         AND (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP)
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+         AND (max_redemptions IS NULL OR redemption_count < max_redemptions)
+       RETURNING id, code, max_redemptions, per_user_limit, redemption_count`,
+      [code]
+    );
+
+    if (result.rows.length === 0) {
+      // Lost the race (or the coupon changed since pricing): report why
+      const current = await client.query(`SELECT ${COUPON_COLUMNS} FROM coupons WHERE code = $1`, [
+        code,
+      ]);
+      addEvent('coupon.redemption_rejected', { coupon_code: code, order_id: orderId });
+      throw (
+        (current.rows[0] && unavailableReason(current.rows[0])) ||
+        couponRejected(`Coupon ${code} is not valid`, 'INVALID_COUPON')
+      );
+    }
+
+    const coupon = result.rows[0];
+    span.setAttribute('coupon.id', coupon.id);
+
+    if (coupon.per_user_limit !== null) {
+      const used = await countUserRedemptions(coupon.id, userId, client);
+      if (used >= coupon.per_user_limit) {
+        addEvent('coupon.redemption_rejected', { coupon_code: code, order_id: orderId });
+        throw couponRejected(
+          `Coupon ${code} can only be used ${coupon.per_user_limit} time(s) per customer`,
+          'COUPON_USER_LIMIT'
+        );
+      }
+    }
+
+    await client.query(
+      `INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount_amount, currency)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [coupon.id, orderId, userId, discountAmount, currencyCode]
+    );
+
+    span.setAttribute('coupon.redemption_count', coupon.redemption_count);
+    addEvent('coupon.redeemed', {
+      coupon_code: code,
+      order_id: orderId,
+      redemption_count: coupon.redemption_count,
+      ...(coupon.max_redemptions !== null && { max_redemptions: coupon.max_redemptions }),
+    });
+
+    return coupon;
+  });
+}
+
+/**
+ * Give back the coupon redemption of an order that did not go through
+ * Returns the released coupon code, or null if the order used none.
+ */
+export async function releaseCoupon(client, orderId) {
+  const result = await client.query(
+    'DELETE FROM coupon_redemptions WHERE order_id = $1 RETURNING coupon_id',
+    [orderId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const couponResult = await client.query(
+    `UPDATE coupons
+     SET redemption_count = redemption_count - 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING code`,
+    [result.rows[0].coupon_id]
+  );
+
+  const code = couponResult.rows[0].code;
+  addEvent('coupon.released', { coupon_code: code, order_id: orderId });
+
+  return code;
+}
+
+export default {
+  COUPON_TYPES,
+  listCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getRedeemableCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
@@ -0,0 +1,177 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Currencies and conversion
+ *
+ * Product prices are stored in BASE_CURRENCY. Rates come from a local table
+ * (units of each currency per 1 unit of the base currency), overridable with
+ * EXCHANGE_RATES_FILE. Money is handled as integer minor units (cents, yen)
+ * and only turned back into decimals at the edges.
+ */
+
+export const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Default table assumes a USD base; supply EXCHANGE_RATES_FILE for another base
+const DEFAULT_RATES = {
+  USD: { rate: '1', minorUnits: 2 },
+  EUR: { rate: '0.92', minorUnits: 2 },
+  GBP: { rate: '0.79', minorUnits: 2 },
+  CAD: { rate: '1.36', minorUnits: 2 },
+  AUD: { rate: '1.52', minorUnits: 2 },
+  JPY: { rate: '149.5', minorUnits: 0 },
+};
+
+// Rates are kept as scaled integers so conversion never touches floats
+const RATE_SCALE_DIGITS = 8;
+
+function loadRates() {
+  const table = process.env.EXCHANGE_RATES_FILE
+    ? JSON.parse(readFileSync(process.env.EXCHANGE_RATES_FILE, 'utf8'))
+    : DEFAULT_RATES;
+
+  const rates = new Map();
+  for (const [code, { rate, minorUnits }] of Object.entries(table)) {
+    rates.set(code.toUpperCase(), {
+      code: code.toUpperCase(),
+      rate: String(rate),
+      scaledRate: decimalToScaled(String(rate), RATE_SCALE_DIGITS),
+      minorUnits,
+    });
+  }
+
+  if (!rates.has(BASE_CURRENCY) || rates.get(BASE_CURRENCY).rate !== '1') {
+    throw new Error(`Exchange rates must include the base currency ${BASE_CURRENCY} at rate 1`);
+  }
+
+  return rates;
+}
+
+/**
+ * Parse a decimal string ("19.99") into a BigInt scaled by 10^digits
+ */
+function decimalToScaled(value, digits) {
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(value.trim());
+
+  if (!match) {
+    throw new Error(`Invalid decimal amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const padded = (fraction + '0'.repeat(digits)).slice(0, digits);
+  let scaled = BigInt(whole || '0') * 10n ** BigInt(digits) + BigInt(padded || '0');
+
+  // Round half up on the first dropped digit
+  if (fraction.length > digits && Number(fraction[digits]) >= 5) {
+    scaled += 1n;
+  }
+
+  return sign ? -scaled : scaled;
+}
+
+const rates = loadRates();
+
+function unsupported(code) {
+  const error = new Error(`Unsupported currency: ${code}`);
+  error.code = 'UNSUPPORTED_CURRENCY';
+  error.statusCode = 400;
+  error.details = { supported: [...rates.keys()] };
+  return error;
+}
+
+/**
+ * Look up a currency from the rates table
+ */
+export function getCurrency(code) {
+  const currency = rates.get(String(code).toUpperCase());
+  if (!currency) {
+    throw unsupported(code);
+  }
+  return currency;
+}
+
+/**
+ * List supported currencies with their rates against the base
+ */
+export function listCurrencies() {
+  return [...rates.values()].map(({ code, rate, minorUnits }) => ({ code, rate, minorUnits }));
+}
+
+/**
+ * Pick the response currency: ?currency= wins over Accept-Currency, else the base
+ */
+export function resolveCurrency(req) {
+  const requested = req.query.currency || req.get('Accept-Currency');
+  return requested ? getCurrency(String(requested).trim()).code : BASE_CURRENCY;
+}
+
+/**
+ * Convert a decimal amount (string or number) to integer minor units
+ */
+export function toMinorUnits(amount, currencyCode) {
+  const { minorUnits } = getCurrency(currencyCode);
+  return Number(decimalToScaled(String(amount), minorUnits));
+}
+
+/**
+ * Convert integer minor units back to a decimal number for JSON / SQL
+ */
+export function fromMinorUnits(minor, currencyCode) {
+  const { minorUnits } = getCurrency(currencyCode);
+  return minor / 10 ** minorUnits;
+}
+
+/**
+ * Convert minor units of the base currency into minor units of another
+ * Rounds half up to the target currency's precision.
+ */
+export function convertFromBase(baseMinor, currencyCode) {
+  const base = getCurrency(BASE_CURRENCY);
+  const target = getCurrency(currencyCode);
+
+  if (target.code === base.code) {
+    return baseMinor;
+  }
+
+  const numerator = BigInt(baseMinor) * target.scaledRate * 10n ** BigInt(target.minorUnits);
+  const denominator = 10n ** BigInt(RATE_SCALE_DIGITS + base.minorUnits);
+
+  return Number((numerator + denominator / 2n) / denominator);
+}
+
+/**
+ * Exchange rate from the base currency to another, as a decimal string
+ */
+export function getRate(currencyCode) {
+  return getCurrency(currencyCode).rate;
+}
+
+/**
+ * Price a product row in the requested currency
+ * Adds currency, price_minor and base_price next to the converted price
+ */
+export function priceProduct(product, currencyCode) {
+  const priceMinor = convertFromBase(toMinorUnits(product.price, BASE_CURRENCY), currencyCode);
+
+  return {
+    ...product,
+    price: fromMinorUnits(priceMinor, currencyCode).toFixed(getCurrency(currencyCode).minorUnits),
+    price_minor: priceMinor,
+    currency: currencyCode,
+    ...(currencyCode !== BASE_CURRENCY && {
+      base_price: product.price,
+      base_currency: BASE_CURRENCY,
+    }),
+  };
+}
+
+export default {
+  BASE_CURRENCY,
+  getCurrency,
+  listCurrencies,
+  resolveCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  convertFromBase,
+  getRate,
+  priceProduct,
+};
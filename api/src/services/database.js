@@ -1,16 +1,24 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { applyFault } from './faultInjection.js';
 
 dotenv.config();
 
 const { Pool } = pg;
 
+// Minimum pg_trgm word similarity for a product name to be suggested (0-1)
+export const SUGGEST_SIMILARITY_THRESHOLD = parseFloat(
+  process.env.SUGGEST_SIMILARITY_THRESHOLD || '0.3'
+);
+
 // Create a connection pool
+// Every connection starts with the suggest threshold, which pg_trgm's `<%` operator reads
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   max: 20,
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 2000,
+  options: `-c pg_trgm.word_similarity_threshold=${SUGGEST_SIMILARITY_THRESHOLD}`,
 });
 
 // Increase max listeners to accommodate OpenTelemetry instrumentation
@@ -26,6 +34,8 @@ pool.on('error', (err) => {
  * Execute a query with automatic connection handling
  */
 export async function query(text, params) {
+  await applyFault('database.query', { text });
+
   const start = Date.now();
   const res = await pool.query(text, params);
   const duration = Date.now() - start;
@@ -38,11 +48,52 @@ export async function query(text, params) {
   return res;
 }
 
+// Pooled clients whose query() already goes through fault injection
+const faultedClients = new WeakSet();
+
 /**
  * Get a client from the pool for transactions
+ * Its queries take database.query faults like query() does, except ROLLBACK,
+ * so a transaction that failed can always be undone.
  */
 export async function getClient() {
-  return await pool.connect();
+  const client = await pool.connect();
+
+  if (!faultedClients.has(client)) {
+    const clientQuery = client.query.bind(client);
+    client.query = async (text, params) => {
+      const sql = typeof text === 'string' ? text : text.text;
+      if (sql !== 'ROLLBACK') {
+        await applyFault('database.query', { text: sql });
+      }
+      return clientQuery(text, params);
+    };
+    faultedClients.add(client);
+  }
+
+  return client;
+}
+
+/**
+ * Run a function inside a transaction on a dedicated client
+ * Commits when the function resolves, rolls back when it throws
+ */
+export async function withTransaction(fn) {
+  await applyFault('database.transaction');
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 }
 
 /**
@@ -73,6 +124,7 @@ export async function close() {
 export default {
   query,
   getClient,
+  withTransaction,
   checkHealth,
   close,
 };
@@ -0,0 +1,362 @@
+import { readFileSync } from 'fs';
+import { trace } from '@opentelemetry/api';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Fault injection
+ *
+ * Adds latency and errors to payment, database and cache calls so demos can
+ * show a specific failure on cue. Config shape:
+ *
+ *   {
+ *     "seed": 42,                               // optional; omit for Math.random
+ *     "rules": [
+ *       {
+ *         "name": "paypal-declines",            // optional, shown on spans
+ *         "target": "payment.charge",           // or "database.*", "cache.get", "*"
+ *         "match": { "method": "paypal", "minAmount": 500 },
+ *         "latency": { "type": "uniform", "minMs": 100, "maxMs": 500 },
+ *         "failures": { "card_declined": 0.25, "insufficient_funds": 0.05 }
+ *       }
+ *     ]
+ *   }
+ *
+ * The first rule whose target and match fit a call is applied. Latency types:
+ * fixed { ms }, uniform { minMs, maxMs }, normal { meanMs, stdDevMs }.
+ * With a seed, every target draws from its own PRNG (seeded from the seed and
+ * the target name), so traffic on one target does not shift the fault
+ * sequence of another. "database.query" also covers queries on transaction
+ * clients (getClient / withTransaction), apart from their ROLLBACK.
+ *
+ * Sources, highest priority first: the admin endpoint (PUT /api/admin/faults),
+ * FAULT_INJECTION (inline JSON), FAULT_INJECTION_FILE (path to JSON), defaults.
+ */
+
+// Without any config, the simulated gateway behaves as it always has:
+// 100-500ms latency and a 10% decline rate split across four reasons
+export const DEFAULT_CONFIG = {
+  seed: null,
+  rules: [
+    {
+      name: 'simulated-gateway-charge',
+      target: 'payment.charge',
+      match: { gateway: 'simulated' },
+      latency: { type: 'uniform', minMs: 100, maxMs: 500 },
+      failures: {
+        insufficient_funds: 0.025,
+        card_declined: 0.025,
+        expired_card: 0.025,
+        invalid_cvv: 0.025,
+      },
+    },
+    {
+      name: 'simulated-gateway-verify',
+      target: 'payment.verify',
+      match: { gateway: 'simulated' },
+      latency: { type: 'uniform', minMs: 50, maxMs: 150 },
+    },
+    {
+      name: 'simulated-gateway-refund',
+      target: 'payment.refund',
+      match: { gateway: 'simulated' },
+      latency: { type: 'uniform', minMs: 200, maxMs: 500 },
+    },
+  ],
+};
+
+// Reasons that model a gateway outage rather than a card decline
+const GATEWAY_OUTAGE_REASONS = ['gateway_timeout', 'gateway_unavailable'];
+
+// Fields each latency type needs (all non-negative numbers of milliseconds)
+const LATENCY_FIELDS = {
+  fixed: ['ms'],
+  uniform: ['minMs', 'maxMs'],
+  normal: ['meanMs', 'stdDevMs'],
+};
+
+const LATENCY_TYPES = Object.keys(LATENCY_FIELDS);
+
+let activeConfig = DEFAULT_CONFIG;
+let activeSource = 'default';
+// One PRNG per target, created on first use
+let randoms = new Map();
+
+/**
+ * Seeded PRNG (mulberry32) so a given seed replays the same fault sequence
+ */
+function createRandom(seed) {
+  if (seed === null || seed === undefined) {
+    return Math.random;
+  }
+
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hash a target name (FNV-1a) to derive its PRNG seed
+ */
+function hashTarget(target) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < target.length; i++) {
+    hash = Math.imul(hash ^ target.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function randomFor(target) {
+  if (!randoms.has(target)) {
+    const { seed } = activeConfig;
+    randoms.set(target, createRandom(seed === null ? null : (seed ^ hashTarget(target)) >>> 0));
+  }
+  return randoms.get(target);
+}
+
+/**
+ * Validate a config object, returning a list of problems (empty when valid)
+ */
+export function validateConfig(config) {
+  const problems = [];
+
+  if (!config || typeof config !== 'object' || !Array.isArray(config.rules)) {
+    return ['config must be an object with a rules array'];
+  }
+
+  if (config.seed !== undefined && config.seed !== null && !Number.isInteger(config.seed)) {
+    problems.push('seed must be an integer or null');
+  }
+
+  config.rules.forEach((rule, index) => {
+    const where = `rules[${index}]`;
+
+    if (typeof rule.target !== 'string' || rule.target.length === 0) {
+      problems.push(`${where}.target must be a non-empty string`);
+    }
+
+    if (rule.match !== undefined && (typeof rule.match !== 'object' || rule.match === null)) {
+      problems.push(`${where}.match must be an object`);
+    }
+
+    if (rule.latency !== undefined) {
+      const latency = rule.latency || {};
+      const fields = LATENCY_FIELDS[latency.type];
+
+      if (!fields) {
+        problems.push(`${where}.latency.type must be one of: ${LATENCY_TYPES.join(', ')}`);
+      } else {
+        fields
+          .filter((field) => typeof latency[field] !== 'number' || !(latency[field] >= 0))
+          .forEach((field) => {
+            problems.push(`${where}.latency.${field} must be a number of ms, 0 or more`);
+          });
+
+        if (latency.type === 'uniform' && latency.minMs > latency.maxMs) {
+          problems.push(`${where}.latency.minMs must not exceed maxMs`);
+        }
+      }
+    }
+
+    if (rule.failures !== undefined) {
+      const rates = Object.values(rule.failures || {});
+      if (rates.some((rate) => typeof rate !== 'number' || rate < 0 || rate > 1)) {
+        problems.push(`${where}.failures rates must be numbers between 0 and 1`);
+      } else if (rates.reduce((sum, rate) => sum + rate, 0) > 1) {
+        problems.push(`${where}.failures rates must add up to at most 1`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Replace the active config (used by the admin endpoint and at startup)
+ */
+export function setConfig(config, source = 'api') {
+  const problems = validateConfig(config);
+
+  if (problems.length > 0) {
+    const error = new Error('Invalid fault injection config');
+    error.code = 'VALIDATION_ERROR';
+    error.statusCode = 400;
+    error.details = problems;
+    throw error;
+  }
+
+  activeConfig = { seed: config.seed ?? null, rules: config.rules };
+  activeSource = source;
+  randoms = new Map();
+
+  logger.info('Fault injection config applied', {
+    'fault.source': source,
+    'fault.rules_count': activeConfig.rules.length,
+    ...(activeConfig.seed !== null && { 'fault.seed': activeConfig.seed }),
+  });
+
+  return getConfig();
+}
+
+/**
+ * Current config and where it came from
+ */
+export function getConfig() {
+  return { ...activeConfig, source: activeSource };
+}
+
+/**
+ * Load config from FAULT_INJECTION / FAULT_INJECTION_FILE, else the defaults
+ */
+export function loadConfigFromEnv() {
+  if (process.env.FAULT_INJECTION) {
+    return setConfig(JSON.parse(process.env.FAULT_INJECTION), 'env');
+  }
+
+  if (process.env.FAULT_INJECTION_FILE) {
+    const raw = readFileSync(process.env.FAULT_INJECTION_FILE, 'utf8');
+    return setConfig(JSON.parse(raw), `file:${process.env.FAULT_INJECTION_FILE}`);
+  }
+
+  return setConfig(DEFAULT_CONFIG, 'default');
+}
+
+function targetMatches(pattern, target) {
+  if (pattern === '*' || pattern === target) {
+    return true;
+  }
+  return pattern.endsWith('.*') && target.startsWith(pattern.slice(0, -1));
+}
+
+function contextMatches(match = {}, context) {
+  return Object.entries(match).every(([key, expected]) => {
+    if (key === 'minAmount') return context.amount >= expected;
+    if (key === 'maxAmount') return context.amount <= expected;
+    if (Array.isArray(expected)) return expected.includes(context[key]);
+    return context[key] === expected;
+  });
+}
+
+function sampleLatency(latency, random) {
+  switch (latency.type) {
+    case 'fixed':
+      return latency.ms;
+    case 'uniform':
+      return latency.minMs + random() * (latency.maxMs - latency.minMs);
+    case 'normal': {
+      // Box-Muller transform on the (possibly seeded) PRNG
+      const u = 1 - random();
+      const v = random();
+      const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+      return Math.max(0, latency.meanMs + z * latency.stdDevMs);
+    }
+    default:
+      return 0;
+  }
+}
+
+function pickFailure(failures = {}, random) {
+  const roll = random();
+  let cumulative = 0;
+
+  for (const [reason, rate] of Object.entries(failures)) {
+    cumulative += rate;
+    if (roll < cumulative) {
+      return reason;
+    }
+  }
+
+  return null;
+}
+
+function buildFaultError(target, reason) {
+  if (target.startsWith('payment.') && GATEWAY_OUTAGE_REASONS.includes(reason)) {
+    const error = new Error(`Payment gateway error: ${reason}`);
+    error.code = 'PAYMENT_GATEWAY_ERROR';
+    error.statusCode = 502;
+    error.reason = reason;
+    error.injected = true;
+    return error;
+  }
+
+  if (target.startsWith('payment.')) {
+    const error = new Error(`Payment failed: ${reason}`);
+    error.code = 'PAYMENT_FAILED';
+    error.reason = reason;
+    error.injected = true;
+    return error;
+  }
+
+  const error = new Error(`Injected fault in ${target}: ${reason}`);
+  error.code = 'INJECTED_FAULT';
+  error.statusCode = 503;
+  error.reason = reason;
+  error.injected = true;
+  return error;
+}
+
+/**
+ * Apply the first matching rule to a call: wait out its latency, then maybe throw
+ * context carries what rules can match on (method, amount, gateway, ...)
+ */
+export async function applyFault(target, context = {}) {
+  const rule = activeConfig.rules.find(
+    (candidate) => targetMatches(candidate.target, target) && contextMatches(candidate.match, context)
+  );
+
+  if (!rule) {
+    return;
+  }
+
+  const span = trace.getActiveSpan();
+  const ruleName = rule.name || rule.target;
+  const random = randomFor(target);
+
+  if (rule.latency) {
+    const latencyMs = Math.round(sampleLatency(rule.latency, random));
+
+    if (latencyMs > 0) {
+      if (span) {
+        span.setAttributes({
+          'fault.injected': true,
+          'fault.target': target,
+          'fault.rule': ruleName,
+          'fault.latency_ms': latencyMs,
+        });
+        span.addEvent('fault.latency_injected', { target, rule: ruleName, latency_ms: latencyMs });
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    }
+  }
+
+  const reason = pickFailure(rule.failures, random);
+
+  if (reason) {
+    if (span) {
+      span.setAttributes({
+        'fault.injected': true,
+        'fault.target': target,
+        'fault.rule': ruleName,
+        'fault.type': 'error',
+        'fault.reason': reason,
+      });
+      span.addEvent('fault.error_injected', { target, rule: ruleName, reason });
+    }
+
+    throw buildFaultError(target, reason);
+  }
+}
+
+export default {
+  DEFAULT_CONFIG,
+  validateConfig,
+  setConfig,
+  getConfig,
+  loadConfigFromEnv,
+  applyFault,
+};
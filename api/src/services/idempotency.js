@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import { query } from './database.js';
+import { withSpan, addEvent } from '../utils/tracer.js';
+
+/**
+ * Idempotency keys for order creation
+ *
+ * A key is scoped to the user sending it ({ userId, key }), so two customers
+ * who happen to pick the same key never see each other's orders. A claim still
+ * in progress after IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS belongs to a
+ * request that died: if it got as far as creating an order (linkOrder() ties
+ * the two together in the order's own transaction), a retry is pointed at that
+ * order, which saga recovery finishes; otherwise the retry takes the key over.
+ */
+
+// Stored keys are honoured for 24 hours, after which the key may be reused
+const KEY_TTL_HOURS = 24;
+
+// Longer than any request takes to create its order, so a live claim is never taken over
+const IN_PROGRESS_TIMEOUT_SECONDS = parseInt(
+  process.env.IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS || '60',
+  10
+);
+
+/**
+ * Serialize a value with sorted object keys so equal bodies hash equally
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a request body for comparison against a stored key
+ */
+export function hashRequest(body) {
+  return crypto.createHash('sha256').update(canonicalize(body ?? null)).digest('hex');
+}
+
+/**
+ * Claim a user's idempotency key for a request
+ * Returns one of:
+ *   { outcome: 'new' }                      - key claimed, process the request
+ *   { outcome: 'replayed', response }       - stored final response for this request
+ *   { outcome: 'mismatch' }                 - key was used with a different body
+ *   { outcome: 'in_progress' }              - the original request is still running
+ *   { outcome: 'recovered', orderId }       - the original request died after creating this order
+ */
+export async function begin({ userId, key }, requestHash) {
+  return withSpan(
+    'idempotency.begin',
+    async (span) => {
+      span.setAttributes({ 'idempotency.key': key, 'user.id': userId });
+
+      let result;
+
+      // A concurrent release() can delete the row between the claim and the read;
+      // the key is free again then, so claim it once more
+      while (!result) {
+        // Claim the key, or take over an expired or abandoned one, in a single statement
+        const claimed = await query(
+          `INSERT INTO idempotency_keys (user_id, key, request_hash, status, expires_at)
+           VALUES ($1, $2, $3, 'in_progress', CURRENT_TIMESTAMP + make_interval(hours => $4))
+           ON CONFLICT (user_id, key) DO UPDATE SET
+             request_hash = EXCLUDED.request_hash,
+             status = 'in_progress',
+             order_id = NULL,
+             response_status = NULL,
+             response_body = NULL,
+             created_at = CURRENT_TIMESTAMP,
+             completed_at = NULL,
+             expires_at = EXCLUDED.expires_at
+           WHERE idempotency_keys.expires_at < CURRENT_TIMESTAMP
+              OR (idempotency_keys.status = 'in_progress'
+                  AND idempotency_keys.order_id IS NULL
+                  AND idempotency_keys.request_hash = EXCLUDED.request_hash
+                  AND idempotency_keys.created_at <
+                      CURRENT_TIMESTAMP - make_interval(secs => $5))
+           RETURNING key`,
+          [userId, key, requestHash, KEY_TTL_HOURS, IN_PROGRESS_TIMEOUT_SECONDS]
+        );
+
+        if (claimed.rows.length > 0) {
+          result = { outcome: 'new' };
+          break;
+        }
+
+        const existing = await query(
+          `SELECT request_hash, status, order_id, response_status, response_body,
+                  created_at < CURRENT_TIMESTAMP - make_interval(secs => $3) AS stale
+           FROM idempotency_keys
+           WHERE user_id = $1 AND key = $2`,
+          [userId, key, IN_PROGRESS_TIMEOUT_SECONDS]
+        );
+        const record = existing.rows[0];
+
+        if (!record) {
+          continue;
+        }
+
+        if (record.request_hash !== requestHash) {
+          result = { outcome: 'mismatch' };
+        } else if (record.status === 'completed') {
+          result = {
+            outcome: 'replayed',
+            response: { statusCode: record.response_status, body: record.response_body },
+          };
+        } else if (record.stale && record.order_id) {
+          result = { outcome: 'recovered', orderId: record.order_id };
+        } else {
+          result = { outcome: 'in_progress' };
+        }
+      }
+
+      span.setAttribute('idempotency.outcome', result.outcome);
+      addEvent('idempotency.key_checked', { key, user_id: userId, outcome: result.outcome });
+
+      return result;
+    }
+  );
+}
+
+/**
+ * Tie a claimed key to the order its request created (inside the order's transaction)
+ */
+export async function linkOrder(client, { userId, key }, orderId) {
+  await client.query(
+    `UPDATE idempotency_keys SET order_id = $1
+     WHERE user_id = $2 AND key = $3 AND status = 'in_progress'`,
+    [orderId, userId, key]
+  );
+
+  addEvent('idempotency.order_linked', { key, user_id: userId, order_id: orderId });
+}
+
+/**
+ * Store the final response for a claimed key
+ */
+export async function complete({ userId, key }, statusCode, body) {
+  return withSpan(
+    'idempotency.complete',
+    async (span) => {
+      span.setAttributes({
+        'idempotency.key': key,
+        'user.id': userId,
+        'idempotency.response_status': statusCode,
+      });
+
+      await query(
+        `UPDATE idempotency_keys
+         SET status = 'completed', response_status = $1, response_body = $2,
+             completed_at = CURRENT_TIMESTAMP
+         WHERE user_id = $3 AND key = $4`,
+        [statusCode, JSON.stringify(body), userId, key]
+      );
+
+      addEvent('idempotency.response_stored', { key, status_code: statusCode });
+    }
+  );
+}
+
+/**
+ * Drop a claimed key so the client can retry (used for transient server errors)
+ * Keys linked to an order stay claimed.
+ */
+export async function release({ userId, key }) {
+  return withSpan(
+    'idempotency.release',
+    async (span) => {
+      span.setAttributes({ 'idempotency.key': key, 'user.id': userId });
+
+      // A key that created an order is kept, so a retry is pointed at that order instead
+      await query(
+        `DELETE FROM idempotency_keys
+         WHERE user_id = $1 AND key = $2 AND status = 'in_progress' AND order_id IS NULL`,
+        [userId, key]
+      );
+
+      addEvent('idempotency.key_released', { key });
+    }
+  );
+}
+
+export default {
+  hashRequest,
+  begin,
+  linkOrder,
+  complete,
+  release,
+};
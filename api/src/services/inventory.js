@@ -1,41 +1,47 @@
-import { query, getClient } from './database.js';
+import { query, getClient, withTransaction } from './database.js';
 import { withSpan, addEvent } from '../utils/tracer.js';
+import { logger } from '../utils/logger.js';
 import * as cache from './cache.js';
+import { getItemCatalog, variantNotFound, variantRequired } from './products.js';
 
 /**
  * Check if sufficient inventory is available for an order
+ * Items with a variantId are checked against that variant's stock. Pass the
+ * Maps from products.getItemCatalog() to reuse rows the caller already loaded.
  */
-export async function checkInventory(items) {
+export async function checkInventory(items, catalog = null) {
   return withSpan(
     'inventory.check',
     async (span) => {
       span.setAttribute('inventory.items_count', items.length);
+      span.setAttribute('inventory.products_preloaded', Boolean(catalog));
 
+      const { products, variants } = catalog || (await getItemCatalog(items));
       const results = [];
 
       for (const item of items) {
-        const product = await query(
-          'SELECT id, sku, name, stock_quantity FROM products WHERE id = $1',
-          [item.productId]
-        );
+        const product = products.get(Number(item.productId));
 
-        if (product.rows.length === 0) {
+        if (!product) {
           results.push({
             productId: item.productId,
             available: false,
+            sufficient: false,
             reason: 'product_not_found',
           });
           continue;
         }
 
-        const { id, sku, name, stock_quantity } = product.rows[0];
+        const variant = item.variantId != null ? variants.get(Number(item.variantId)) : null;
+        const { sku, stock_quantity } = variant || product;
 
         const isAvailable = stock_quantity >= item.quantity;
 
         results.push({
-          productId: id,
+          productId: product.id,
+          ...(variant && { variantId: variant.id }),
           sku,
-          name,
+          name: product.name,
           requested: item.quantity,
           available: stock_quantity,
           sufficient: isAvailable,
@@ -43,7 +49,8 @@ export async function checkInventory(items) {
 
         if (!isAvailable) {
           addEvent('inventory.insufficient', {
-            product_id: id,
+            product_id: product.id,
+            ...(variant && { variant_id: variant.id }),
             sku,
             requested: item.quantity,
             available: stock_quantity,
@@ -73,55 +80,262 @@ export async function checkInventory(items) {
   );
 }
 
+// Fallback reorder threshold for products without their own reorder_threshold
+export const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD || '10', 10);
+
+// Reason codes accepted by adjustInventory(); reserve/release/initial are written internally
+export const ADJUSTMENT_REASONS = ['restock', 'damage', 'correction'];
+
+/**
+ * Append a stock change to the inventory_movements ledger
+ * reference is { type: 'order' | 'hold', id } or null. balanceAfter is the
+ * product's stock; variantId records which variant the change was for.
+ */
+async function recordMovement(
+  client,
+  { productId, variantId = null, change, reason, reference = null, note = null, balanceAfter }
+) {
+  await client.query(
+    `INSERT INTO inventory_movements
+       (product_id, variant_id, quantity_change, reason, reference_type, reference_id, note,
+        balance_after)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      productId,
+      variantId,
+      change,
+      reason,
+      reference?.type ?? null,
+      reference?.id ?? null,
+      note,
+      balanceAfter,
+    ]
+  );
+}
+
+/**
+ * Move a variant's stock by delta (its product's stock moves by the same amount)
+ * Returns the variant's new stock
+ */
+async function changeVariantStock(client, variantId, delta) {
+  const result = await client.query(
+    `UPDATE product_variants
+     SET stock_quantity = stock_quantity + $1,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING stock_quantity`,
+    [delta, variantId]
+  );
+  return result.rows[0].stock_quantity;
+}
+
+/**
+ * Emit a low-stock alert when a decrement crosses the product's reorder threshold
+ */
+function checkLowStock({ id, sku, reorder_threshold }, previousQuantity, remaining) {
+  const threshold = reorder_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+
+  if (previousQuantity > threshold && remaining <= threshold) {
+    addEvent('inventory.low_stock', {
+      product_id: id,
+      sku,
+      remaining,
+      threshold,
+    });
+
+    logger.warn('Product stock fell below reorder threshold', {
+      'inventory.product_id': id,
+      'inventory.sku': sku,
+      'inventory.current_level': remaining,
+      'inventory.reorder_threshold': threshold,
+    });
+  }
+}
+
+function orderReference(orderId) {
+  return orderId != null ? { type: 'order', id: orderId } : null;
+}
+
+/**
+ * Sort items by product id (then variant id) so every transaction locks rows in the same order
+ */
+function inLockOrder(items) {
+  return [...items].sort(
+    (a, b) =>
+      Number(a.productId) - Number(b.productId) || (a.variantId ?? 0) - (b.variantId ?? 0)
+  );
+}
+
+/**
+ * Identity of an item line: a product, or one variant of it
+ */
+function lineKey(item) {
+  return `${Number(item.productId)}:${item.variantId ?? ''}`;
+}
+
 /**
  * Reserve inventory for an order (decrease stock)
+ * Pass a transaction client to reserve inside the caller's transaction;
+ * orderId may be null when stock is taken for a hold, which passes its own ledger reference
+ *
+ * Product rows, then variant rows, are locked with SELECT ... FOR UPDATE
+ * (ordered by id to avoid deadlocks) before stock is checked, so concurrent
+ * checkouts cannot both pass the check and oversell. Items with a variantId
+ * take stock from the variant and, by the same amount, from the product.
  */
-export async function reserveInventory(orderId, items) {
+export async function reserveInventory(
+  orderId,
+  items,
+  transactionClient = null,
+  reference = orderReference(orderId)
+) {
   return withSpan(
     'inventory.reserve',
     async (span) => {
       span.setAttributes({
-        'inventory.order_id': orderId,
+        ...(orderId != null && { 'inventory.order_id': orderId }),
         'inventory.items_count': items.length,
       });
 
-      const client = await getClient();
+      const client = transactionClient || (await getClient());
 
       try {
-        await client.query('BEGIN');
+        if (!transactionClient) await client.query('BEGIN');
+
+        const orderedItems = inLockOrder(items);
+
+        // Lock all product rows up front; time spent here is contention with other checkouts
+        const lockStart = Date.now();
+        const locked = await client.query(
+          `SELECT id, sku, stock_quantity, reorder_threshold,
+                  EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id)
+                    AS has_variants
+           FROM products
+           WHERE id = ANY($1::int[])
+           ORDER BY id
+           FOR UPDATE`,
+          [orderedItems.map((item) => item.productId)]
+        );
+        const variantIds = orderedItems
+          .filter((item) => item.variantId != null)
+          .map((item) => item.variantId);
+        const lockedVariantRows =
+          variantIds.length > 0
+            ? (
+                await client.query(
+                  `SELECT id, product_id, sku, stock_quantity
+                   FROM product_variants
+                   WHERE id = ANY($1::int[])
+                   ORDER BY id
+                   FOR UPDATE`,
+                  [variantIds]
+                )
+              ).rows
+            : [];
+        const lockWaitMs = Date.now() - lockStart;
+
+        span.setAttributes({
+          'inventory.lock_wait_ms': lockWaitMs,
+          'inventory.locked_rows': locked.rows.length + lockedVariantRows.length,
+        });
+        addEvent('inventory.rows_locked', {
+          rows: locked.rows.length + lockedVariantRows.length,
+          wait_ms: lockWaitMs,
+        });
+
+        const lockedStock = new Map(locked.rows.map((row) => [row.id, row]));
+        const lockedVariants = new Map(lockedVariantRows.map((row) => [row.id, row]));
+
+        // The row whose stock an item draws on: its variant, or else the product
+        const stockRow = (item) =>
+          item.variantId != null
+            ? lockedVariants.get(Number(item.variantId))
+            : lockedStock.get(Number(item.productId));
+
+        // A product sold in variants only has stock through its variants
+        for (const item of orderedItems) {
+          const productId = Number(item.productId);
+          if (item.variantId != null) {
+            const variant = lockedVariants.get(Number(item.variantId));
+            if (variant && variant.product_id !== productId) {
+              throw variantNotFound(productId, item.variantId);
+            }
+          } else if (lockedStock.get(productId)?.has_variants) {
+            throw variantRequired(productId);
+          }
+        }
+
+        const shortages = orderedItems
+          .filter((item) => {
+            const row = stockRow(item);
+            return (
+              !lockedStock.has(Number(item.productId)) || !row || row.stock_quantity < item.quantity
+            );
+          })
+          .map((item) => ({
+            productId: item.productId,
+            ...(item.variantId != null && { variantId: item.variantId }),
+            requested: item.quantity,
+            available: stockRow(item)?.stock_quantity ?? 0,
+          }));
 
-        for (const item of items) {
-          // Update stock quantity
+        if (shortages.length > 0) {
+          const error = new Error(
+            `Failed to reserve inventory for product ${shortages[0].productId}: insufficient stock`
+          );
+          error.code = 'INSUFFICIENT_INVENTORY';
+          error.statusCode = 409;
+          error.details = shortages;
+          throw error;
+        }
+
+        for (const item of orderedItems) {
+          const variantId = item.variantId ?? null;
+          const variantRemaining =
+            variantId != null ? await changeVariantStock(client, variantId, -item.quantity) : null;
+
+          // Update stock quantity (row is already locked by this transaction)
           const result = await client.query(
             `UPDATE products
              SET stock_quantity = stock_quantity - $1,
                  updated_at = CURRENT_TIMESTAMP
-             WHERE id = $2 AND stock_quantity >= $1
+             WHERE id = $2
              RETURNING id, sku, stock_quantity`,
             [item.quantity, item.productId]
           );
 
-          if (result.rows.length === 0) {
-            throw new Error(
-              `Failed to reserve inventory for product ${item.productId}: insufficient stock`
-            );
-          }
-
           const { id, sku, stock_quantity } = result.rows[0];
 
+          await recordMovement(client, {
+            productId: id,
+            variantId,
+            change: -item.quantity,
+            reason: 'reserve',
+            reference,
+            balanceAfter: stock_quantity,
+          });
+
           addEvent('inventory.reserved', {
             product_id: id,
             sku,
             quantity: item.quantity,
             remaining: stock_quantity,
+            ...(variantId != null && {
+              variant_id: variantId,
+              variant_sku: lockedVariants.get(Number(variantId)).sku,
+              variant_remaining: variantRemaining,
+            }),
           });
 
+          // Several variants of one product can be reserved together, so compare per line
+          checkLowStock(lockedStock.get(id), stock_quantity + item.quantity, stock_quantity);
+
           // Invalidate cache for this product
           await cache.del(`product:${id}`);
           await cache.deletePattern('products:*');
         }
 
-        await client.query('COMMIT');
+        if (!transactionClient) await client.query('COMMIT');
 
         span.setAttribute('inventory.reservation_status', 'success');
 
@@ -131,17 +345,17 @@ export async function reserveInventory(orderId, items) {
           itemsReserved: items.length,
         };
       } catch (error) {
-        await client.query('ROLLBACK');
+        if (!transactionClient) await client.query('ROLLBACK');
 
         addEvent('inventory.reservation_failed', {
-          order_id: orderId,
+          ...(orderId != null && { order_id: orderId }),
           error: error.message,
         });
 
         span.setAttribute('inventory.reservation_status', 'failed');
         throw error;
       } finally {
-        client.release();
+        if (!transactionClient) client.release();
       }
     }
   );
@@ -149,33 +363,53 @@ export async function reserveInventory(orderId, items) {
 
 /**
  * Release reserved inventory (increase stock back)
+ * Pass a transaction client to release inside the caller's transaction
  */
-export async function releaseInventory(orderId, items) {
+export async function releaseInventory(
+  orderId,
+  items,
+  transactionClient = null,
+  reference = orderReference(orderId)
+) {
   return withSpan(
     'inventory.release',
     async (span) => {
       span.setAttributes({
-        'inventory.order_id': orderId,
+        ...(orderId != null && { 'inventory.order_id': orderId }),
         'inventory.items_count': items.length,
       });
 
-      const client = await getClient();
+      const client = transactionClient || (await getClient());
 
       try {
-        await client.query('BEGIN');
+        if (!transactionClient) await client.query('BEGIN');
+
+        // Same lock order as reserveInventory: all products, then variants
+        const orderedItems = inLockOrder(items);
 
-        for (const item of items) {
-          await client.query(
+        for (const item of orderedItems) {
+          const result = await client.query(
             `UPDATE products
              SET stock_quantity = stock_quantity + $1,
                  updated_at = CURRENT_TIMESTAMP
-             WHERE id = $2`,
+             WHERE id = $2
+             RETURNING stock_quantity`,
             [item.quantity, item.productId]
           );
 
+          await recordMovement(client, {
+            productId: item.productId,
+            variantId: item.variantId ?? null,
+            change: item.quantity,
+            reason: 'release',
+            reference,
+            balanceAfter: result.rows[0].stock_quantity,
+          });
+
           addEvent('inventory.released', {
             product_id: item.productId,
             quantity: item.quantity,
+            ...(item.variantId != null && { variant_id: item.variantId }),
           });
 
           // Invalidate cache
@@ -183,7 +417,15 @@ export async function releaseInventory(orderId, items) {
           await cache.deletePattern('products:*');
         }
 
-        await client.query('COMMIT');
+        const variantItems = [...orderedItems]
+          .filter((item) => item.variantId != null)
+          .sort((a, b) => a.variantId - b.variantId);
+
+        for (const item of variantItems) {
+          await changeVariantStock(client, item.variantId, item.quantity);
+        }
+
+        if (!transactionClient) await client.query('COMMIT');
 
         span.setAttribute('inventory.release_status', 'success');
 
@@ -193,43 +435,623 @@ export async function releaseInventory(orderId, items) {
           itemsReleased: items.length,
         };
       } catch (error) {
-        await client.query('ROLLBACK');
+        if (!transactionClient) await client.query('ROLLBACK');
         span.setAttribute('inventory.release_status', 'failed');
         throw error;
       } finally {
-        client.release();
+        if (!transactionClient) client.release();
       }
     }
   );
 }
 
+function productNotFound(productId) {
+  const error = new Error(`Product ${productId} not found`);
+  error.code = 'NOT_FOUND';
+  error.statusCode = 404;
+  return error;
+}
+
 /**
  * Get current inventory levels for a product
+ * ledgerQuantity is the sum of all movements; it should always equal stockQuantity.
+ * Products sold in variants also list each variant's stock.
  */
-export async function getInventoryLevel(productId) {
+export async function getInventoryLevel(productId, { movementsLimit = 0 } = {}) {
   return withSpan(
     'inventory.get_level',
     async (span) => {
       span.setAttribute('inventory.product_id', productId);
 
       const result = await query(
-        'SELECT id, sku, name, stock_quantity FROM products WHERE id = $1',
+        `SELECT p.id, p.sku, p.name, p.stock_quantity,
+                COALESCE(SUM(m.quantity_change), 0)::int AS ledger_quantity
+         FROM products p
+         LEFT JOIN inventory_movements m ON m.product_id = p.id
+         WHERE p.id = $1
+         GROUP BY p.id`,
         [productId]
       );
 
       if (result.rows.length === 0) {
-        throw new Error(`Product ${productId} not found`);
+        throw productNotFound(productId);
       }
 
       const product = result.rows[0];
-      span.setAttribute('inventory.current_level', product.stock_quantity);
+      const drift = product.stock_quantity - product.ledger_quantity;
 
-      return {
+      span.setAttributes({
+        'inventory.current_level': product.stock_quantity,
+        'inventory.ledger_level': product.ledger_quantity,
+        'inventory.drift': drift,
+      });
+
+      if (drift !== 0) {
+        addEvent('inventory.ledger_drift', { product_id: product.id, drift });
+      }
+
+      // Each variant's stock is derivable from the movements recorded against it
+      const variants = await query(
+        `SELECT v.id, v.sku, v.name, v.stock_quantity,
+                COALESCE(SUM(m.quantity_change), 0)::int AS ledger_quantity
+         FROM product_variants v
+         LEFT JOIN inventory_movements m ON m.variant_id = v.id
+         WHERE v.product_id = $1
+         GROUP BY v.id
+         ORDER BY v.sort_order, v.id`,
+        [productId]
+      );
+
+      for (const variant of variants.rows) {
+        if (variant.stock_quantity !== variant.ledger_quantity) {
+          addEvent('inventory.ledger_drift', {
+            product_id: product.id,
+            variant_id: variant.id,
+            drift: variant.stock_quantity - variant.ledger_quantity,
+          });
+        }
+      }
+
+      const level = {
         productId: product.id,
         sku: product.sku,
         name: product.name,
         stockQuantity: product.stock_quantity,
+        ledgerQuantity: product.ledger_quantity,
+        drift,
+        variants: variants.rows.map((variant) => ({
+          variantId: variant.id,
+          sku: variant.sku,
+          name: variant.name,
+          stockQuantity: variant.stock_quantity,
+          ledgerQuantity: variant.ledger_quantity,
+          drift: variant.stock_quantity - variant.ledger_quantity,
+        })),
       };
+
+      if (movementsLimit > 0) {
+        const movements = await query(
+          `SELECT id, variant_id, quantity_change, reason, reference_type, reference_id, note,
+                  balance_after, created_at
+           FROM inventory_movements
+           WHERE product_id = $1
+           ORDER BY created_at DESC, id DESC
+           LIMIT $2`,
+          [productId, movementsLimit]
+        );
+        level.movements = movements.rows;
+      }
+
+      return level;
+    }
+  );
+}
+
+/**
+ * Manually change stock with a reason code (restock, damage, correction)
+ * quantity is a signed delta: positive adds stock, negative removes it.
+ * Products sold in variants are adjusted one variant at a time (variantId).
+ */
+export async function adjustInventory(
+  productId,
+  { quantity, reason, note = null, variantId = null }
+) {
+  return withSpan(
+    'inventory.adjust',
+    async (span) => {
+      span.setAttributes({
+        'inventory.product_id': productId,
+        'inventory.adjustment_quantity': quantity,
+        'inventory.adjustment_reason': reason,
+        ...(variantId != null && { 'inventory.variant_id': variantId }),
+      });
+
+      const adjusted = await withTransaction(async (client) => {
+        const locked = await client.query(
+          `SELECT id, sku, stock_quantity, reorder_threshold,
+                  EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id)
+                    AS has_variants
+           FROM products
+           WHERE id = $1
+           FOR UPDATE`,
+          [productId]
+        );
+
+        if (locked.rows.length === 0) {
+          throw productNotFound(productId);
+        }
+
+        const product = locked.rows[0];
+
+        if (product.has_variants && variantId == null) {
+          throw variantRequired(productId);
+        }
+
+        // Same lock order as reserveInventory: product, then variant
+        const variant =
+          variantId != null
+            ? (
+                await client.query(
+                  `SELECT id, sku, stock_quantity
+                   FROM product_variants
+                   WHERE id = $1 AND product_id = $2
+                   FOR UPDATE`,
+                  [variantId, productId]
+                )
+              ).rows[0]
+            : null;
+
+        if (variantId != null && !variant) {
+          throw variantNotFound(productId, variantId);
+        }
+
+        const newQuantity = product.stock_quantity + quantity;
+        const stocked = variant || product;
+        const stockedQuantity = stocked.stock_quantity + quantity;
+
+        if (stockedQuantity < 0) {
+          const error = new Error(
+            `Adjustment would leave ${stocked.sku} with negative stock (${stockedQuantity})`
+          );
+          error.code = 'INSUFFICIENT_INVENTORY';
+          error.statusCode = 409;
+          error.details = { stockQuantity: stocked.stock_quantity, quantity };
+          throw error;
+        }
+
+        if (variant) {
+          await changeVariantStock(client, variant.id, quantity);
+        }
+
+        await client.query(
+          `UPDATE products
+           SET stock_quantity = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2`,
+          [newQuantity, productId]
+        );
+
+        await recordMovement(client, {
+          productId,
+          variantId,
+          change: quantity,
+          reason,
+          note,
+          balanceAfter: newQuantity,
+        });
+
+        checkLowStock(product, product.stock_quantity, newQuantity);
+
+        return {
+          ...product,
+          previousQuantity: product.stock_quantity,
+          stock_quantity: newQuantity,
+          variant: variant && { ...variant, stock_quantity: variant.stock_quantity + quantity },
+        };
+      });
+
+      await cache.del(`product:${productId}`);
+      await cache.deletePattern('products:*');
+
+      span.setAttribute('inventory.current_level', adjusted.stock_quantity);
+      addEvent('inventory.adjusted', {
+        product_id: productId,
+        sku: adjusted.sku,
+        quantity,
+        reason,
+        remaining: adjusted.stock_quantity,
+        ...(adjusted.variant && {
+          variant_id: adjusted.variant.id,
+          variant_remaining: adjusted.variant.stock_quantity,
+        }),
+      });
+
+      logger.info('Inventory adjusted', {
+        'inventory.product_id': productId,
+        'inventory.sku': adjusted.sku,
+        'inventory.adjustment_quantity': quantity,
+        'inventory.adjustment_reason': reason,
+        'inventory.current_level': adjusted.stock_quantity,
+      });
+
+      return {
+        productId,
+        sku: adjusted.sku,
+        previousQuantity: adjusted.previousQuantity,
+        stockQuantity: adjusted.stock_quantity,
+        ...(adjusted.variant && {
+          variantId: adjusted.variant.id,
+          variantSku: adjusted.variant.sku,
+          variantStockQuantity: adjusted.variant.stock_quantity,
+        }),
+        quantity,
+        reason,
+      };
+    }
+  );
+}
+
+/**
+ * Set or clear (null) a product's reorder threshold
+ */
+export async function setReorderThreshold(productId, threshold) {
+  return withSpan(
+    'inventory.set_threshold',
+    async (span) => {
+      span.setAttribute('inventory.product_id', productId);
+      if (threshold != null) {
+        span.setAttribute('inventory.reorder_threshold', threshold);
+      }
+
+      const result = await query(
+        `UPDATE products
+         SET reorder_threshold = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING id, sku, stock_quantity, reorder_threshold`,
+        [threshold, productId]
+      );
+
+      if (result.rows.length === 0) {
+        throw productNotFound(productId);
+      }
+
+      const product = result.rows[0];
+      addEvent('inventory.threshold_updated', {
+        product_id: productId,
+        ...(threshold != null ? { threshold } : { cleared: true }),
+      });
+
+      return {
+        productId: product.id,
+        sku: product.sku,
+        stockQuantity: product.stock_quantity,
+        reorderThreshold: product.reorder_threshold,
+        effectiveThreshold: product.reorder_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD,
+      };
+    }
+  );
+}
+
+/**
+ * Report every product at or below its reorder threshold, lowest stock first
+ */
+export async function getLowStockReport() {
+  return withSpan(
+    'inventory.low_stock_report',
+    async (span) => {
+      const result = await query(
+        `SELECT id, sku, name, stock_quantity, reorder_threshold,
+                COALESCE(reorder_threshold, $1) AS effective_threshold
+         FROM products
+         WHERE stock_quantity <= COALESCE(reorder_threshold, $1)
+         ORDER BY stock_quantity, id`,
+        [DEFAULT_LOW_STOCK_THRESHOLD]
+      );
+
+      span.setAttributes({
+        'inventory.low_stock_count': result.rows.length,
+        'inventory.default_threshold': DEFAULT_LOW_STOCK_THRESHOLD,
+      });
+
+      return result.rows;
+    }
+  );
+}
+
+// Hold TTL bounds (seconds)
+export const HOLD_DEFAULT_TTL = 900;
+export const HOLD_MAX_TTL = 3600;
+
+/**
+ * Load a hold and its items, optionally locking the hold row
+ */
+async function loadHold(db, holdId, { forUpdate = false } = {}) {
+  const holdResult = await db.query(
+    `SELECT id, user_id, status, order_id, expires_at, created_at, updated_at
+     FROM inventory_holds
+     WHERE id = $1
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [holdId]
+  );
+
+  if (holdResult.rows.length === 0) {
+    return null;
+  }
+
+  const itemsResult = await db.query(
+    `SELECT product_id, variant_id, quantity
+     FROM inventory_hold_items
+     WHERE hold_id = $1
+     ORDER BY product_id, variant_id`,
+    [holdId]
+  );
+
+  return {
+    ...holdResult.rows[0],
+    items: itemsResult.rows.map((row) => ({
+      productId: row.product_id,
+      variantId: row.variant_id,
+      quantity: row.quantity,
+    })),
+  };
+}
+
+function holdNotFound(holdId) {
+  const error = new Error(`Inventory hold ${holdId} not found`);
+  error.code = 'NOT_FOUND';
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Reserve stock for a cart for a limited time
+ */
+export async function createHold(items, { ttlSeconds = HOLD_DEFAULT_TTL, userId = null } = {}) {
+  return withSpan(
+    'inventory.hold.create',
+    async (span) => {
+      span.setAttributes({
+        'inventory.items_count': items.length,
+        'inventory.hold_ttl_seconds': ttlSeconds,
+        ...(userId != null && { 'inventory.hold_user_id': userId }),
+      });
+
+      const hold = await withTransaction(async (client) => {
+        const holdResult = await client.query(
+          `INSERT INTO inventory_holds (user_id, status, expires_at)
+           VALUES ($1, 'active', CURRENT_TIMESTAMP + make_interval(secs => $2))
+           RETURNING id`,
+          [userId, ttlSeconds]
+        );
+        const holdId = holdResult.rows[0].id;
+
+        await client.query(
+          `INSERT INTO inventory_hold_items (hold_id, product_id, variant_id, quantity)
+           SELECT $1, product_id, variant_id, quantity
+           FROM unnest($2::int[], $3::int[], $4::int[]) AS t(product_id, variant_id, quantity)`,
+          [
+            holdId,
+            items.map((item) => item.productId),
+            items.map((item) => item.variantId ?? null),
+            items.map((item) => item.quantity),
+          ]
+        );
+
+        await reserveInventory(null, items, client, { type: 'hold', id: holdId });
+
+        return loadHold(client, holdId);
+      });
+
+      span.setAttribute('inventory.hold_id', hold.id);
+      addEvent('inventory.hold_created', {
+        hold_id: hold.id,
+        items_count: items.length,
+        ttl_seconds: ttlSeconds,
+      });
+
+      logger.info('Inventory hold created', {
+        'inventory.hold_id': hold.id,
+        'inventory.items_count': items.length,
+        'inventory.hold_ttl_seconds': ttlSeconds,
+        'inventory.hold_expires_at': new Date(hold.expires_at).toISOString(),
+      });
+
+      return hold;
+    }
+  );
+}
+
+/**
+ * Get a hold with its items
+ */
+export async function getHold(holdId) {
+  return withSpan(
+    'inventory.hold.get',
+    async (span) => {
+      span.setAttribute('inventory.hold_id', holdId);
+
+      const hold = await loadHold({ query }, holdId);
+      if (!hold) {
+        throw holdNotFound(holdId);
+      }
+
+      span.setAttribute('inventory.hold_status', hold.status);
+      return hold;
+    }
+  );
+}
+
+/**
+ * Hand a hold's stock over to an order (runs inside the order transaction)
+ * The order must be for exactly the held products, variants and quantities.
+ */
+export async function consumeHold(client, holdId, { orderId, userId, items }) {
+  return withSpan(
+    'inventory.hold.consume',
+    async (span) => {
+      span.setAttributes({
+        'inventory.hold_id': holdId,
+        'inventory.order_id': orderId,
+      });
+
+      const hold = await loadHold(client, holdId, { forUpdate: true });
+      if (!hold) {
+        throw holdNotFound(holdId);
+      }
+
+      span.setAttribute('inventory.hold_status', hold.status);
+
+      if (hold.status !== 'active' || new Date(hold.expires_at) <= new Date()) {
+        const error = new Error(`Inventory hold ${holdId} is no longer active`);
+        error.code = 'HOLD_NOT_ACTIVE';
+        error.statusCode = 409;
+        error.details = { status: hold.status, expiresAt: hold.expires_at };
+        throw error;
+      }
+
+      if (hold.user_id != null && hold.user_id !== userId) {
+        const error = new Error(`Inventory hold ${holdId} belongs to another user`);
+        error.code = 'HOLD_MISMATCH';
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const held = new Map(hold.items.map((item) => [lineKey(item), item.quantity]));
+      const matches =
+        held.size === items.length &&
+        items.every((item) => held.get(lineKey(item)) === item.quantity);
+
+      if (!matches) {
+        const error = new Error(`Order items do not match inventory hold ${holdId}`);
+        error.code = 'HOLD_MISMATCH';
+        error.statusCode = 409;
+        error.details = { held: hold.items };
+        throw error;
+      }
+
+      await client.query(
+        `UPDATE inventory_holds
+         SET status = 'consumed', order_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [orderId, holdId]
+      );
+
+      addEvent('inventory.hold_consumed', { hold_id: holdId, order_id: orderId });
+
+      logger.info('Inventory hold consumed by order', {
+        'inventory.hold_id': holdId,
+        'order.id': orderId,
+        'inventory.items_count': items.length,
+      });
+
+      return { ...hold, status: 'consumed', order_id: orderId };
+    }
+  );
+}
+
+/**
+ * Return a hold's stock and close it with the given final status
+ */
+async function closeHold(client, hold, status) {
+  await releaseInventory(null, hold.items, client, { type: 'hold', id: hold.id });
+
+  await client.query(
+    `UPDATE inventory_holds SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+    [status, hold.id]
+  );
+}
+
+/**
+ * Release an active hold before it expires (e.g. cart emptied)
+ */
+export async function releaseHold(holdId) {
+  return withSpan(
+    'inventory.hold.release',
+    async (span) => {
+      span.setAttribute('inventory.hold_id', holdId);
+
+      const hold = await withTransaction(async (client) => {
+        const current = await loadHold(client, holdId, { forUpdate: true });
+        if (!current) {
+          throw holdNotFound(holdId);
+        }
+
+        if (current.status !== 'active') {
+          const error = new Error(`Inventory hold ${holdId} is already ${current.status}`);
+          error.code = 'HOLD_NOT_ACTIVE';
+          error.statusCode = 409;
+          throw error;
+        }
+
+        await closeHold(client, current, 'released');
+        return { ...current, status: 'released' };
+      });
+
+      addEvent('inventory.hold_released', { hold_id: holdId });
+      logger.info('Inventory hold released', {
+        'inventory.hold_id': holdId,
+        'inventory.items_count': hold.items.length,
+      });
+
+      return hold;
+    }
+  );
+}
+
+/**
+ * Return stock for every hold past its expiry (run by the background sweeper)
+ */
+export async function releaseExpiredHolds() {
+  return withSpan(
+    'inventory.hold.sweep',
+    async (span) => {
+      const expired = await query(
+        `SELECT id FROM inventory_holds
+         WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP
+         ORDER BY id`
+      );
+
+      let released = 0;
+
+      for (const { id } of expired.rows) {
+        const hold = await withSpan('inventory.hold.expire', async (expireSpan) => {
+          expireSpan.setAttribute('inventory.hold_id', id);
+
+          return withTransaction(async (client) => {
+            // Skip holds consumed or released since the scan
+            const locked = await client.query(
+              `SELECT id FROM inventory_holds
+               WHERE id = $1 AND status = 'active'
+               FOR UPDATE SKIP LOCKED`,
+              [id]
+            );
+
+            if (locked.rows.length === 0) {
+              return null;
+            }
+
+            const current = await loadHold(client, id);
+            await closeHold(client, current, 'expired');
+            return current;
+          });
+        });
+
+        if (hold) {
+          released++;
+          addEvent('inventory.hold_expired', { hold_id: id });
+          logger.info('Inventory hold expired', {
+            'inventory.hold_id': id,
+            'inventory.items_count': hold.items.length,
+            ...(hold.user_id != null && { 'inventory.hold_user_id': hold.user_id }),
+          });
+        }
+      }
+
+      span.setAttributes({
+        'inventory.holds_expired_found': expired.rows.length,
+        'inventory.holds_expired_released': released,
+      });
+
+      return { found: expired.rows.length, released };
     }
   );
 }
@@ -239,4 +1061,12 @@ export default {
   reserveInventory,
   releaseInventory,
   getInventoryLevel,
+  adjustInventory,
+  setReorderThreshold,
+  getLowStockReport,
+  createHold,
+  getHold,
+  consumeHold,
+  releaseHold,
+  releaseExpiredHolds,
 };
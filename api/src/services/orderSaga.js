@@ -0,0 +1,934 @@
+import { query, withTransaction } from './database.js';
+import * as payment from './payment.js';
+import * as inventory from './inventory.js';
+import * as paymentRecords from './paymentRecords.js';
+import * as coupons from './coupons.js';
+import * as carts from './carts.js';
+import * as cache from './cache.js';
+import * as idempotency from './idempotency.js';
+import * as refunds from './refunds.js';
+import { OrderStatus, PaymentStatus, recordInitialStatus, transitionOrder } from './orderStatus.js';
+import { withSpan, withLinkedSpan, addEvent, captureTraceContext } from '../utils/tracer.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Order creation saga
+ *
+ * Forward steps:  created → reserved → paid → confirmed
+ * Async payment:  created → reserved → awaiting_payment → (webhook) paid → confirmed
+ * Compensation:   any non-terminal step → compensated
+ *
+ * "created" and "reserved" commit together, so an order row never exists
+ * without its stock being taken. Every step is persisted in order_sagas
+ * and appended to order_saga_log, which lets recoverInterruptedOrders()
+ * finish or roll back orders left behind by a crash.
+ *
+ * The request charging an order holds a lease on its saga (lease_expires_at)
+ * for the length of the payment, and recovery skips leased sagas. Should a
+ * payment outlast the lease, whichever side writes second sees the saga has
+ * moved on: the request refunds its charge instead of recording it, and does
+ * not compensate an order recovery has already closed. Recovery asks the
+ * gateway for the order's charge before rolling a reserved saga back, and
+ * confirms the order instead if the charge was captured.
+ *
+ * The request does the same when its payment ends in a transient gateway error
+ * (the charge may still have gone through); if the gateway cannot even be asked,
+ * it leaves the saga reserved for recovery. A charge the request could neither
+ * record nor refund is recorded as refund_pending when the order is rolled back,
+ * and retryPendingRefunds() (refunds.js) returns the money.
+ */
+
+export const SagaState = {
+  CREATED: 'created',
+  RESERVED: 'reserved',
+  AWAITING_PAYMENT: 'awaiting_payment',
+  PAID: 'paid',
+  CONFIRMED: 'confirmed',
+  COMPENSATED: 'compensated',
+};
+
+export const IN_FLIGHT_STATES = [
+  SagaState.CREATED,
+  SagaState.RESERVED,
+  SagaState.AWAITING_PAYMENT,
+  SagaState.PAID,
+];
+
+// Sagas untouched for this long are considered abandoned by their process
+const RECOVERY_GRACE_SECONDS = parseInt(process.env.SAGA_RECOVERY_GRACE_SECONDS || '30', 10);
+
+// How long a request keeps recovery off a saga it is charging; must outlast the
+// slowest payment (every retry timing out, plus backoff)
+const PAYMENT_LEASE_SECONDS = parseInt(process.env.SAGA_PAYMENT_LEASE_SECONDS || '300', 10);
+
+// Async payments with no webhook after this long are given up on
+const PAYMENT_WEBHOOK_TIMEOUT_SECONDS = parseInt(
+  process.env.PAYMENT_WEBHOOK_TIMEOUT_SECONDS || '900',
+  10
+);
+
+/**
+ * Persist a saga step and append it to the saga log
+ * Moving to a new step ends any payment lease.
+ */
+async function recordStep(client, orderId, state, action, detail = null) {
+  await client.query(
+    `INSERT INTO order_sagas (order_id, state, last_error)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (order_id) DO UPDATE SET
+       state = EXCLUDED.state,
+       last_error = COALESCE(EXCLUDED.last_error, order_sagas.last_error),
+       lease_expires_at = NULL,
+       updated_at = CURRENT_TIMESTAMP`,
+    [orderId, state, action === 'compensate' ? detail : null]
+  );
+
+  await client.query(
+    `INSERT INTO order_saga_log (order_id, step, action, detail)
+     VALUES ($1, $2, $3, $4)`,
+    [orderId, state, action, detail]
+  );
+
+  addEvent('order.saga_step', { order_id: orderId, step: state, action });
+}
+
+/**
+ * Drop the cached GET /api/orders/:id copy of an order whose status changed
+ * Called after the transaction that changed it has committed.
+ */
+async function invalidateOrderCache(orderId) {
+  await cache.del(`order:${orderId}`);
+}
+
+/**
+ * Keep recovery off a saga while this request charges its order
+ */
+async function takePaymentLease(client, orderId) {
+  await client.query(
+    `UPDATE order_sagas
+     SET lease_expires_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+     WHERE order_id = $1`,
+    [orderId, PAYMENT_LEASE_SECONDS]
+  );
+}
+
+/**
+ * Lock a saga row; returns its state and the order's recorded transaction id
+ */
+async function lockSaga(client, orderId) {
+  const result = await client.query(
+    `SELECT s.state, o.payment_transaction_id
+     FROM order_sagas s
+     JOIN orders o ON o.id = s.order_id
+     WHERE s.order_id = $1
+     FOR UPDATE OF s`,
+    [orderId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Hand a reserved saga to recovery: drop the lease so it is picked up after the grace period
+ */
+async function leaveForRecovery(orderId, reason) {
+  await query('UPDATE order_sagas SET lease_expires_at = NULL WHERE order_id = $1', [orderId]);
+
+  addEvent('order.saga_left_for_recovery', { order_id: orderId, reason });
+  logger.warn('Order left for recovery; its charge could not be checked', {
+    'order.id': orderId,
+    'payment.error': reason,
+  });
+}
+
+/**
+ * Whether a failed payment may still have been charged
+ * Timeouts and 5xx answers give no outcome, and neither does a breaker that
+ * opened after earlier attempts were sent.
+ */
+function chargeOutcomeUnknown(error) {
+  return (
+    payment.isRetryable(error) || (error.code === 'CIRCUIT_OPEN' && error.attempts > 1)
+  );
+}
+
+function sagaTakenOver(orderId, state) {
+  const error = new Error(
+    `Order ${orderId} was recovered (${state}) while its payment was running`
+  );
+  error.code = 'ORDER_RECOVERED';
+  error.statusCode = 409;
+  return error;
+}
+
+/**
+ * Persist a captured charge and move the saga to "paid"
+ */
+async function recordCapture(client, orderId, { transactionId, amount, currency, method }) {
+  await paymentRecords.recordPayment(
+    {
+      orderId,
+      transactionId,
+      amount,
+      currency,
+      method,
+      status: 'captured',
+    },
+    client
+  );
+
+  await transitionOrder(client, orderId, {
+    paymentStatus: PaymentStatus.COMPLETED,
+    reason: 'payment_captured',
+  });
+
+  await client.query('UPDATE orders SET payment_transaction_id = $1 WHERE id = $2', [
+    transactionId,
+    orderId,
+  ]);
+
+  await recordStep(client, orderId, SagaState.PAID, 'forward', transactionId);
+}
+
+/**
+ * Step: insert the order and its items (runs inside the reserve transaction)
+ */
+async function createStep(
+  client,
+  {
+    userId,
+    items,
+    totalAmount,
+    currency,
+    exchangeRate,
+    pricing,
+    paymentMethod,
+    cartId,
+    idempotencyKey,
+  }
+) {
+  return withSpan('order.saga.create', async (span) => {
+    const orderResult = await client.query(
+      `INSERT INTO orders (user_id, status, total_amount, currency, exchange_rate,
+                           subtotal_amount, discount_amount, shipping_amount, tax_amount,
+                           tax_region, coupon_code, payment_method, payment_status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING id`,
+      [
+        userId,
+        OrderStatus.PENDING,
+        totalAmount,
+        currency,
+        exchangeRate,
+        pricing?.subtotal ?? totalAmount,
+        pricing?.discount ?? 0,
+        pricing?.shipping ?? 0,
+        pricing?.tax ?? 0,
+        pricing?.region ?? null,
+        pricing?.coupon?.code ?? null,
+        paymentMethod,
+        PaymentStatus.PENDING,
+      ]
+    );
+
+    const orderId = orderResult.rows[0].id;
+    span.setAttribute('order.id', orderId);
+    await recordInitialStatus(client, orderId);
+
+    // One multi-row insert for all items
+    await client.query(
+      `INSERT INTO order_items (order_id, product_id, variant_id, quantity, price)
+       SELECT $1, product_id, variant_id, quantity, price
+       FROM unnest($2::int[], $3::int[], $4::int[], $5::numeric[])
+         AS t(product_id, variant_id, quantity, price)`,
+      [
+        orderId,
+        items.map((item) => item.productId),
+        items.map((item) => item.variantId ?? null),
+        items.map((item) => item.quantity),
+        items.map((item) => item.price),
+      ]
+    );
+
+    // Spend the coupon in the same transaction; a lost race rolls the order back
+    if (pricing?.coupon) {
+      await coupons.redeemCoupon(client, {
+        code: pricing.coupon.code,
+        orderId,
+        userId,
+        discountAmount: pricing.discount,
+        currencyCode: currency,
+      });
+    }
+
+    // A cart becomes at most one order; a parallel checkout of it rolls back here
+    if (cartId) {
+      await carts.markCheckedOut(client, cartId, orderId);
+    }
+
+    // A retry after this request dies is pointed at this order rather than creating another
+    if (idempotencyKey) {
+      await idempotency.linkOrder(client, { userId, key: idempotencyKey }, orderId);
+    }
+
+    await recordStep(client, orderId, SagaState.CREATED, 'forward');
+
+    addEvent('order.record_created', { order_id: orderId, items_count: items.length });
+
+    return orderId;
+  });
+}
+
+/**
+ * Step: take stock for the order (same transaction as createStep)
+ * With a hold, the held stock is handed over instead of taking new stock.
+ */
+async function reserveStep(client, orderId, { userId, items, holdId }) {
+  return withSpan('order.saga.reserve', async (span) => {
+    span.setAttribute('order.id', orderId);
+
+    if (holdId) {
+      span.setAttribute('order.hold_id', holdId);
+      await inventory.consumeHold(client, holdId, { orderId, userId, items });
+    } else {
+      await inventory.reserveInventory(orderId, items, client);
+    }
+    await recordStep(client, orderId, SagaState.RESERVED, 'forward');
+
+    addEvent('order.inventory_reserved', { order_id: orderId });
+  });
+}
+
+/**
+ * Step: charge the gateway and persist the captured transaction
+ */
+async function payStep(orderId, { totalAmount, currency, paymentMethod }) {
+  return withSpan('order.saga.pay', async (span) => {
+    span.setAttribute('order.id', orderId);
+
+    const paymentResult = await payment.processPayment(
+      orderId,
+      totalAmount,
+      paymentMethod,
+      currency
+    );
+
+    try {
+      await withTransaction(async (client) => {
+        // Recovery may have taken the saga over if the payment outlasted the lease
+        const saga = await lockSaga(client, orderId);
+        if (saga.state !== SagaState.RESERVED) {
+          // It found this charge and confirmed the order; nothing left to record
+          if (saga.payment_transaction_id === paymentResult.transactionId) {
+            return;
+          }
+          throw sagaTakenOver(orderId, saga.state);
+        }
+
+        await recordCapture(client, orderId, {
+          transactionId: paymentResult.transactionId,
+          amount: totalAmount,
+          currency,
+          method: paymentMethod,
+        });
+      });
+    } catch (error) {
+      // The gateway charged but we could not persist it - give the money back
+      try {
+        await payment.refundPayment(paymentResult.transactionId, totalAmount);
+        error.refunded = true;
+      } catch (refundError) {
+        // Compensation records the charge as owed, and the refund retry returns it
+        error.refundPending = { transactionId: paymentResult.transactionId };
+        logger.exception(refundError, {
+          'order.id': orderId,
+          'payment.transaction_id': paymentResult.transactionId,
+          'payment.phase': 'refund_unrecorded_charge',
+        });
+      }
+      throw error;
+    }
+
+    span.setAttribute('order.payment_transaction_id', paymentResult.transactionId);
+    addEvent('order.payment_completed', {
+      order_id: orderId,
+      transaction_id: paymentResult.transactionId,
+    });
+
+    return paymentResult;
+  });
+}
+
+/**
+ * Step (async mode): ask the gateway to charge and wait for its webhook
+ * The trace context is stored so the webhook span can link back to this trace.
+ */
+async function requestPaymentStep(orderId, { totalAmount, currency, paymentMethod }) {
+  return withSpan('order.saga.request_payment', async (span) => {
+    span.setAttribute('order.id', orderId);
+
+    const paymentResult = await payment.requestPayment(
+      orderId,
+      totalAmount,
+      paymentMethod,
+      currency
+    );
+
+    await withTransaction(async (client) => {
+      // A success webhook for a saga recovery has closed is refunded when it arrives
+      const saga = await lockSaga(client, orderId);
+      if (saga.state !== SagaState.RESERVED) {
+        throw sagaTakenOver(orderId, saga.state);
+      }
+
+      await paymentRecords.recordPayment(
+        {
+          orderId,
+          transactionId: paymentResult.transactionId,
+          amount: totalAmount,
+          currency,
+          method: paymentMethod,
+          status: 'pending',
+        },
+        client
+      );
+
+      await transitionOrder(client, orderId, {
+        status: OrderStatus.AWAITING_PAYMENT,
+        reason: 'payment_requested',
+      });
+
+      await client.query(
+        'UPDATE orders SET payment_transaction_id = $1 WHERE id = $2',
+        [paymentResult.transactionId, orderId]
+      );
+
+      await client.query(
+        'UPDATE order_sagas SET trace_context = $1 WHERE order_id = $2',
+        [captureTraceContext(), orderId]
+      );
+
+      await recordStep(
+        client,
+        orderId,
+        SagaState.AWAITING_PAYMENT,
+        'forward',
+        paymentResult.transactionId
+      );
+    });
+
+    span.setAttribute('order.payment_transaction_id', paymentResult.transactionId);
+    addEvent('order.awaiting_payment', {
+      order_id: orderId,
+      transaction_id: paymentResult.transactionId,
+    });
+
+    return paymentResult;
+  });
+}
+
+/**
+ * Step: mark the order confirmed
+ */
+async function confirmStep(client, orderId) {
+  return withSpan('order.saga.confirm', async (span) => {
+    span.setAttribute('order.id', orderId);
+
+    await transitionOrder(client, orderId, {
+      status: OrderStatus.CONFIRMED,
+      reason: 'saga_confirmed',
+    });
+
+    await recordStep(client, orderId, SagaState.CONFIRMED, 'forward');
+  });
+}
+
+/**
+ * Compensation: return stock (if it was taken), any coupon and the cart, and close the order
+ */
+async function compensateStep(client, orderId, { fromState, reason, status, paymentStatus }) {
+  return withSpan('order.saga.compensate', async (span) => {
+    span.setAttributes({
+      'order.id': orderId,
+      'order.saga.from_state': fromState,
+      'order.saga.reason': reason,
+    });
+
+    // Lock the order row before product rows, matching the cancel flow's lock order
+    await transitionOrder(client, orderId, { status, paymentStatus, reason });
+
+    if (fromState !== SagaState.CREATED) {
+      const itemsResult = await client.query(
+        'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = $1',
+        [orderId]
+      );
+
+      await inventory.releaseInventory(
+        orderId,
+        itemsResult.rows.map((row) => ({
+          productId: row.product_id,
+          variantId: row.variant_id,
+          quantity: row.quantity,
+        })),
+        client
+      );
+    }
+
+    await coupons.releaseCoupon(client, orderId);
+    await carts.reopenCart(client, orderId);
+    await recordStep(client, orderId, SagaState.COMPENSATED, 'compensate', reason);
+
+    addEvent('order.saga_compensated', { order_id: orderId, from_state: fromState, reason });
+  });
+}
+
+/**
+ * Run the order creation saga for validated, priced items
+ * Returns { orderId, paymentResult, awaitingPayment } once the order is
+ * confirmed, or (async mode) once the gateway has accepted the charge
+ */
+export async function runOrderSaga({
+  userId,
+  items,
+  totalAmount,
+  currency,
+  exchangeRate,
+  pricing = null,
+  paymentMethod,
+  holdId = null,
+  cartId = null,
+  idempotencyKey = null,
+  paymentMode = payment.PAYMENT_MODE,
+}) {
+  const isAsync = paymentMode === payment.PaymentMode.ASYNC;
+
+  // created + reserved: one atomic unit
+  const orderId = await withTransaction(async (client) => {
+    const id = await createStep(client, {
+      userId,
+      items,
+      totalAmount,
+      currency,
+      exchangeRate,
+      pricing,
+      paymentMethod,
+      cartId,
+      idempotencyKey,
+    });
+    await reserveStep(client, id, { userId, items, holdId });
+    await takePaymentLease(client, id);
+    return id;
+  });
+
+  // paid (or awaiting_payment in async mode)
+  let paymentResult;
+  try {
+    paymentResult = isAsync
+      ? await requestPaymentStep(orderId, { totalAmount, currency, paymentMethod })
+      : await payStep(orderId, { totalAmount, currency, paymentMethod });
+  } catch (error) {
+    error.orderId = orderId;
+
+    // The charge may have gone through before the gateway stopped answering
+    if (chargeOutcomeUnknown(error)) {
+      let charge;
+      try {
+        charge = await payment.findCharge(orderId);
+      } catch (lookupError) {
+        await leaveForRecovery(orderId, lookupError.reason || lookupError.message);
+        error.orderPending = true;
+        throw error;
+      }
+
+      if (charge?.status === 'captured') {
+        const confirmed = await withTransaction(async (client) => {
+          const saga = await lockSaga(client, orderId);
+          if (saga.state === SagaState.RESERVED) {
+            await recordCapture(client, orderId, {
+              transactionId: charge.transactionId,
+              amount: totalAmount,
+              currency,
+              method: paymentMethod,
+            });
+            await confirmStep(client, orderId);
+            return true;
+          }
+          return (
+            saga.state === SagaState.CONFIRMED &&
+            saga.payment_transaction_id === charge.transactionId
+          );
+        });
+
+        if (confirmed) {
+          await invalidateOrderCache(orderId);
+          addEvent('order.payment_found_after_error', {
+            order_id: orderId,
+            transaction_id: charge.transactionId,
+          });
+          return {
+            orderId,
+            paymentResult: {
+              success: true,
+              transactionId: charge.transactionId,
+              amount: totalAmount,
+              paymentMethod,
+              timestamp: new Date().toISOString(),
+            },
+            awaitingPayment: false,
+          };
+        }
+      }
+    }
+
+    await withTransaction(async (client) => {
+      // Recovery may already have closed (or confirmed) the order
+      const saga = await lockSaga(client, orderId);
+
+      // A captured charge that could not be refunded is owed back whatever happened to the order
+      if (error.refundPending) {
+        await paymentRecords.recordPayment(
+          {
+            orderId,
+            transactionId: error.refundPending.transactionId,
+            amount: totalAmount,
+            currency,
+            method: paymentMethod,
+            status: refunds.REFUND_PENDING,
+            failureReason: error.message,
+          },
+          client
+        );
+      }
+
+      if (saga.state !== SagaState.RESERVED) {
+        addEvent('order.saga_compensation_skipped', { order_id: orderId, state: saga.state });
+        return;
+      }
+
+      if (!error.refunded && !error.refundPending) {
+        await paymentRecords.recordPayment(
+          {
+            orderId,
+            amount: totalAmount,
+            currency,
+            method: paymentMethod,
+            status: 'failed',
+            failureReason: error.reason || error.message,
+          },
+          client
+        );
+      }
+
+      await compensateStep(client, orderId, {
+        fromState: SagaState.RESERVED,
+        reason: error.reason || error.message,
+        status: OrderStatus.CANCELLED,
+        paymentStatus: PaymentStatus.FAILED,
+      });
+    });
+    await invalidateOrderCache(orderId);
+
+    throw error;
+  }
+
+  if (isAsync) {
+    await invalidateOrderCache(orderId);
+    return { orderId, paymentResult, awaitingPayment: true };
+  }
+
+  // confirmed - if this fails the saga stays "paid" and recovery confirms it
+  await withTransaction(async (client) => {
+    // Already confirmed if recovery found the charge first
+    const saga = await lockSaga(client, orderId);
+    if (saga.state === SagaState.PAID) {
+      await confirmStep(client, orderId);
+    }
+  });
+  await invalidateOrderCache(orderId);
+
+  return { orderId, paymentResult, awaitingPayment: false };
+}
+
+/**
+ * Apply a verified payment webhook to its order's saga
+ *
+ * Each event id is processed once (payment_webhook_events); a replay returns
+ * 'duplicate'. The span is linked to the trace that requested the payment.
+ * Returns the action taken: confirmed | compensated | refunded | ignored | duplicate
+ */
+export async function handlePaymentWebhook(event) {
+  const { orderId, transactionId, reason } = event.data;
+  const succeeded = event.type === 'payment.succeeded';
+
+  const contextResult = await query('SELECT trace_context FROM order_sagas WHERE order_id = $1', [
+    orderId,
+  ]);
+  const carriers = contextResult.rows[0]?.trace_context ? [contextResult.rows[0].trace_context] : [];
+
+  return withLinkedSpan('order.saga.payment_webhook', carriers, async (span) => {
+    span.setAttributes({
+      'order.id': orderId,
+      'payment.transaction_id': transactionId,
+      'payment.webhook.event_id': event.id,
+      'payment.webhook.type': event.type,
+      'payment.webhook.linked': carriers.length > 0,
+    });
+
+    const action = await withTransaction(async (client) => {
+      // Replay protection: the event id is claimed in the same transaction as its effects
+      const claimed = await client.query(
+        `INSERT INTO payment_webhook_events (event_id, order_id, type)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (event_id) DO NOTHING
+         RETURNING event_id`,
+        [event.id, orderId, event.type]
+      );
+
+      if (claimed.rows.length === 0) {
+        return 'duplicate';
+      }
+
+      const sagaResult = await client.query(
+        `SELECT s.state, o.total_amount, o.payment_transaction_id
+         FROM order_sagas s
+         JOIN orders o ON o.id = s.order_id
+         WHERE s.order_id = $1
+         FOR UPDATE OF s`,
+        [orderId]
+      );
+
+      if (sagaResult.rows.length === 0) {
+        const error = new Error('Order not found');
+        error.code = 'NOT_FOUND';
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const { state, total_amount: totalAmount, payment_transaction_id: expectedId } = sagaResult.rows[0];
+      span.setAttribute('order.saga.from_state', state);
+
+      if (expectedId && expectedId !== transactionId) {
+        const error = new Error('Webhook transaction does not match the order');
+        error.code = 'WEBHOOK_TRANSACTION_MISMATCH';
+        error.statusCode = 422;
+        throw error;
+      }
+
+      // The order is still being written; the gateway retries on 409
+      if (state === SagaState.CREATED || state === SagaState.RESERVED) {
+        const error = new Error('Order is not awaiting payment yet');
+        error.code = 'WEBHOOK_TOO_EARLY';
+        error.statusCode = 409;
+        throw error;
+      }
+
+      if (state === SagaState.AWAITING_PAYMENT && succeeded) {
+        await paymentRecords.settlePayment(transactionId, { status: 'captured' }, client);
+        await transitionOrder(client, orderId, {
+          paymentStatus: PaymentStatus.COMPLETED,
+          reason: 'payment_captured',
+        });
+        await recordStep(client, orderId, SagaState.PAID, 'forward', transactionId);
+        await confirmStep(client, orderId);
+        return 'confirmed';
+      }
+
+      if (state === SagaState.AWAITING_PAYMENT) {
+        await paymentRecords.settlePayment(
+          transactionId,
+          { status: 'failed', failureReason: reason || 'declined' },
+          client
+        );
+        await compensateStep(client, orderId, {
+          fromState: state,
+          reason: reason || 'declined',
+          status: OrderStatus.CANCELLED,
+          paymentStatus: PaymentStatus.FAILED,
+        });
+        return 'compensated';
+      }
+
+      // Money arrived for an order we already gave up on - send it back
+      if (state === SagaState.COMPENSATED && succeeded) {
+        await paymentRecords.settlePayment(transactionId, { status: 'captured' }, client);
+        const refund = await payment.refundPayment(transactionId, parseFloat(totalAmount));
+        await paymentRecords.recordRefund(transactionId, refund.refundId, client);
+        addEvent('order.late_payment_refunded', {
+          order_id: orderId,
+          transaction_id: transactionId,
+          refund_id: refund.refundId,
+        });
+        return 'refunded';
+      }
+
+      return 'ignored';
+    });
+
+    if (action !== 'duplicate' && action !== 'ignored') {
+      await invalidateOrderCache(orderId);
+    }
+
+    span.setAttribute('payment.webhook.action', action);
+    addEvent('order.payment_webhook_processed', { order_id: orderId, action });
+
+    if (action === 'refunded') {
+      logger.warn('Refunded late payment for a closed order', {
+        'order.id': orderId,
+        'payment.transaction_id': transactionId,
+      });
+    }
+
+    return action;
+  });
+}
+
+/**
+ * Finish or roll back a single interrupted saga
+ */
+async function recoverOrder(orderId) {
+  return withSpan('order.saga.recover_order', async (span) => {
+    span.setAttribute('order.id', orderId);
+
+    // A reserved saga may have been charged before its request died; ask the
+    // gateway before taking the row lock rather than while holding it
+    const current = await query('SELECT state FROM order_sagas WHERE order_id = $1', [orderId]);
+    const charge =
+      current.rows[0]?.state === SagaState.RESERVED ? await payment.findCharge(orderId) : null;
+
+    const action = await withTransaction(async (client) => {
+      // Skip sagas another process is working on or still holds a payment lease on
+      const sagaResult = await client.query(
+        `SELECT s.state, o.total_amount, o.currency, o.payment_method
+         FROM order_sagas s
+         JOIN orders o ON o.id = s.order_id
+         WHERE s.order_id = $1 AND s.state = ANY($2)
+           AND (s.lease_expires_at IS NULL OR s.lease_expires_at < CURRENT_TIMESTAMP)
+         FOR UPDATE OF s SKIP LOCKED`,
+        [orderId, IN_FLIGHT_STATES]
+      );
+
+      if (sagaResult.rows.length === 0) {
+        span.setAttribute('order.saga.recovery_action', 'skipped');
+        return 'skipped';
+      }
+
+      const { state, total_amount: totalAmount, currency, payment_method: method } =
+        sagaResult.rows[0];
+      span.setAttribute('order.saga.from_state', state);
+
+      // Charged, but the request died before recording it
+      const capturedAtGateway = state === SagaState.RESERVED && charge?.status === 'captured';
+
+      if (capturedAtGateway) {
+        span.setAttribute('payment.transaction_id', charge.transactionId);
+        await recordCapture(client, orderId, {
+          transactionId: charge.transactionId,
+          amount: totalAmount,
+          currency,
+          method,
+        });
+      }
+
+      if (state === SagaState.PAID || capturedAtGateway) {
+        // Payment is captured and persisted, so roll forward
+        await confirmStep(client, orderId);
+        span.setAttribute('order.saga.recovery_action', 'confirmed');
+        return 'confirmed';
+      }
+
+      if (state === SagaState.AWAITING_PAYMENT) {
+        // The gateway never called back; a late success webhook is refunded
+        const orderResult = await client.query(
+          'SELECT payment_transaction_id FROM orders WHERE id = $1',
+          [orderId]
+        );
+        const transactionId = orderResult.rows[0]?.payment_transaction_id;
+
+        if (transactionId) {
+          await paymentRecords.settlePayment(
+            transactionId,
+            { status: 'expired', failureReason: 'payment_timeout' },
+            client
+          );
+        }
+      }
+
+      // No captured payment on record, so roll back
+      await compensateStep(client, orderId, {
+        fromState: state,
+        reason: state === SagaState.AWAITING_PAYMENT ? 'payment_timeout' : 'interrupted',
+        status: OrderStatus.FAILED,
+        paymentStatus: PaymentStatus.FAILED,
+      });
+      span.setAttribute('order.saga.recovery_action', 'compensated');
+      return 'compensated';
+    });
+
+    if (action !== 'skipped') {
+      await invalidateOrderCache(orderId);
+    }
+    return action;
+  });
+}
+
+/**
+ * Find sagas abandoned mid-flight (e.g. by a crash) and finish or roll them back
+ */
+export async function recoverInterruptedOrders() {
+  return withSpan('order.saga.recover', async (span) => {
+    span.setAttribute('order.saga.grace_seconds', RECOVERY_GRACE_SECONDS);
+
+    // Sagas waiting on a payment webhook get the (longer) webhook timeout; sagas
+    // whose request still holds its payment lease are left alone
+    const result = await query(
+      `SELECT order_id FROM order_sagas
+       WHERE ((state = ANY($1) AND updated_at < CURRENT_TIMESTAMP - make_interval(secs => $2))
+          OR (state = $3 AND updated_at < CURRENT_TIMESTAMP - make_interval(secs => $4)))
+         AND (lease_expires_at IS NULL OR lease_expires_at < CURRENT_TIMESTAMP)
+       ORDER BY order_id`,
+      [
+        IN_FLIGHT_STATES.filter((state) => state !== SagaState.AWAITING_PAYMENT),
+        RECOVERY_GRACE_SECONDS,
+        SagaState.AWAITING_PAYMENT,
+        PAYMENT_WEBHOOK_TIMEOUT_SECONDS,
+      ]
+    );
+
+    const summary = { found: result.rows.length, confirmed: 0, compensated: 0, skipped: 0, failed: 0 };
+
+    for (const { order_id: orderId } of result.rows) {
+      try {
+        const action = await recoverOrder(orderId);
+        summary[action]++;
+      } catch (error) {
+        summary.failed++;
+        logger.exception(error, { 'order.id': orderId, 'order.saga.phase': 'recovery' });
+      }
+    }
+
+    span.setAttributes({
+      'order.saga.recovery_found': summary.found,
+      'order.saga.recovery_confirmed': summary.confirmed,
+      'order.saga.recovery_compensated': summary.compensated,
+      'order.saga.recovery_failed': summary.failed,
+    });
+
+    if (summary.found > 0) {
+      logger.warn('Recovered interrupted orders', {
+        'order.saga.recovery_found': summary.found,
+        'order.saga.recovery_confirmed': summary.confirmed,
+        'order.saga.recovery_compensated': summary.compensated,
+        'order.saga.recovery_failed': summary.failed,
+      });
+    }
+
+    return summary;
+  });
+}
+
+export default {
+  SagaState,
+  IN_FLIGHT_STATES,
+  runOrderSaga,
+  handlePaymentWebhook,
+  recoverInterruptedOrders,
+};
@@ -0,0 +1,185 @@
+import { withSpan, addEvent } from '../utils/tracer.js';
+
+/**
+ * Order status state machine
+ *
+ *   pending          → awaiting_payment | confirmed | cancelled | failed
+ *   awaiting_payment → confirmed | cancelled | failed
+ *   confirmed        → shipped | cancelled | refunded
+ *   shipped          → delivered
+ *
+ * Every change to orders.status / orders.payment_status goes through
+ * transitionOrder(), which validates it and appends to order_status_history.
+ */
+
+export const OrderStatus = {
+  PENDING: 'pending',
+  AWAITING_PAYMENT: 'awaiting_payment',
+  CONFIRMED: 'confirmed',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+};
+
+export const PaymentStatus = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+};
+
+const ORDER_TRANSITIONS = {
+  [OrderStatus.PENDING]: [
+    OrderStatus.AWAITING_PAYMENT,
+    OrderStatus.CONFIRMED,
+    OrderStatus.CANCELLED,
+    OrderStatus.FAILED,
+  ],
+  [OrderStatus.AWAITING_PAYMENT]: [OrderStatus.CONFIRMED, OrderStatus.CANCELLED, OrderStatus.FAILED],
+  [OrderStatus.CONFIRMED]: [OrderStatus.SHIPPED, OrderStatus.CANCELLED, OrderStatus.REFUNDED],
+  [OrderStatus.SHIPPED]: [OrderStatus.DELIVERED],
+  [OrderStatus.DELIVERED]: [],
+  [OrderStatus.CANCELLED]: [],
+  [OrderStatus.FAILED]: [],
+  [OrderStatus.REFUNDED]: [],
+};
+
+const PAYMENT_TRANSITIONS = {
+  [PaymentStatus.PENDING]: [PaymentStatus.COMPLETED, PaymentStatus.FAILED, PaymentStatus.CANCELLED],
+  [PaymentStatus.COMPLETED]: [PaymentStatus.REFUNDED],
+  [PaymentStatus.FAILED]: [],
+  [PaymentStatus.CANCELLED]: [],
+  [PaymentStatus.REFUNDED]: [],
+};
+
+// Statuses an operator may set directly; the rest need their workflow's side effects
+export const MANUAL_STATUSES = [OrderStatus.SHIPPED, OrderStatus.DELIVERED];
+
+/**
+ * Check whether an order may move from one status to another
+ */
+export function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * List the statuses reachable from the given status
+ */
+export function allowedTransitions(from) {
+  return ORDER_TRANSITIONS[from] || [];
+}
+
+function invalidTransition(kind, from, to, allowed) {
+  const error = new Error(`Illegal ${kind} transition from '${from}' to '${to}'`);
+  error.code = 'INVALID_STATUS_TRANSITION';
+  error.statusCode = 409;
+  error.details = { from, to, allowed };
+  return error;
+}
+
+/**
+ * Record the initial status of a newly inserted order
+ */
+export async function recordInitialStatus(client, orderId) {
+  await client.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, from_payment_status, to_payment_status, reason)
+     VALUES ($1, NULL, $2, NULL, $3, $4)`,
+    [orderId, OrderStatus.PENDING, PaymentStatus.PENDING, 'order_created']
+  );
+}
+
+/**
+ * Move an order (and optionally its payment) to a new status
+ * Must run inside a transaction; the order row is locked for the update.
+ */
+export async function transitionOrder(client, orderId, { status, paymentStatus, reason = null }) {
+  return withSpan(
+    'order.transition',
+    async (span) => {
+      span.setAttribute('order.id', orderId);
+
+      const current = await client.query(
+        'SELECT status, payment_status FROM orders WHERE id = $1 FOR UPDATE',
+        [orderId]
+      );
+
+      if (current.rows.length === 0) {
+        const error = new Error('Order not found');
+        error.code = 'NOT_FOUND';
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const from = current.rows[0].status;
+      const fromPayment = current.rows[0].payment_status;
+      const to = status || from;
+      const toPayment = paymentStatus || fromPayment;
+
+      if (to !== from && !canTransition(from, to)) {
+        addEvent('order.status_transition_rejected', { order_id: orderId, from, to });
+        throw invalidTransition('order status', from, to, allowedTransitions(from));
+      }
+
+      if (
+        toPayment !== fromPayment &&
+        !(PAYMENT_TRANSITIONS[fromPayment] || []).includes(toPayment)
+      ) {
+        addEvent('order.payment_status_transition_rejected', {
+          order_id: orderId,
+          from: fromPayment,
+          to: toPayment,
+        });
+        throw invalidTransition(
+          'payment status',
+          fromPayment,
+          toPayment,
+          PAYMENT_TRANSITIONS[fromPayment] || []
+        );
+      }
+
+      span.setAttributes({
+        'order.status_from': from,
+        'order.status_to': to,
+        'order.payment_status_from': fromPayment,
+        'order.payment_status_to': toPayment,
+      });
+
+      await client.query(
+        `UPDATE orders
+         SET status = $1, payment_status = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [to, toPayment, orderId]
+      );
+
+      await client.query(
+        `INSERT INTO order_status_history (order_id, from_status, to_status, from_payment_status, to_payment_status, reason)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [orderId, from, to, fromPayment, toPayment, reason]
+      );
+
+      addEvent('order.status_transition', {
+        order_id: orderId,
+        from,
+        to,
+        payment_from: fromPayment,
+        payment_to: toPayment,
+        ...(reason && { reason }),
+      });
+
+      return { from, to, paymentFrom: fromPayment, paymentTo: toPayment };
+    }
+  );
+}
+
+export default {
+  OrderStatus,
+  PaymentStatus,
+  MANUAL_STATUSES,
+  canTransition,
+  allowedTransitions,
+  recordInitialStatus,
+  transitionOrder,
+};
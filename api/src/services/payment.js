@@ -1,11 +1,126 @@
-import axios from 'axios';
-import { withSpan, addEvent } from '../utils/tracer.js';
+import { withSpan, addEvent, setAttributes } from '../utils/tracer.js';
+import { getGateway } from './paymentGateways/index.js';
+import { applyFault } from './faultInjection.js';
+import { createCircuitBreaker, CircuitState } from './circuitBreaker.js';
+import { BASE_CURRENCY } from './currency.js';
+
+// Adapter chosen by PAYMENT_GATEWAY (simulated | http)
+const gateway = getGateway();
+
+export const PaymentMode = {
+  SYNC: 'sync',
+  ASYNC: 'async',
+};
+
+// sync: charge while the order request waits; async: the gateway confirms by webhook
+export const PAYMENT_MODE =
+  process.env.PAYMENT_MODE === PaymentMode.ASYNC ? PaymentMode.ASYNC : PaymentMode.SYNC;
+
+const WEBHOOK_URL =
+  process.env.PAYMENT_WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 3000}/api/webhooks/payment`;
+
+const RETRY_MAX_ATTEMPTS = parseInt(process.env.PAYMENT_RETRY_MAX_ATTEMPTS || '3', 10);
+const RETRY_BASE_DELAY_MS = parseInt(process.env.PAYMENT_RETRY_BASE_DELAY_MS || '200', 10);
+const RETRY_MAX_DELAY_MS = 2000;
+
+/**
+ * Whether a gateway error is worth retrying
+ * Timeouts, refused connections, 5xx and 429 are transient; declines
+ * (insufficient_funds, expired_card, ...) and other 4xx answers are final.
+ */
+export function isRetryable(error) {
+  if (error.code !== 'PAYMENT_GATEWAY_ERROR') {
+    return false;
+  }
+
+  const status = error.gatewayStatus;
+  return !status || status >= 500 || status === 429;
+}
+
+// Trips on transient gateway failures only; a decline means the gateway is up
+const breaker = createCircuitBreaker({
+  name: `payment-gateway:${gateway.name}`,
+  failureThreshold: parseInt(process.env.PAYMENT_BREAKER_FAILURE_THRESHOLD || '5', 10),
+  resetTimeoutMs: parseInt(process.env.PAYMENT_BREAKER_RESET_MS || '30000', 10),
+  isFailure: isRetryable,
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Idempotency key of an order's charge; retries reuse it and findCharge() looks it up
+ */
+function chargeKey(orderId) {
+  return `order-${orderId}-charge`;
+}
+
+/**
+ * Exponential backoff with jitter: half the ceiling plus a random half
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Call the gateway with retries, each attempt in its own span behind the breaker
+ */
+async function callGateway(operation, fn, context = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await withSpan(`payment.${operation}.attempt`, async (span) => {
+        span.setAttributes({
+          'payment.attempt': attempt,
+          'payment.attempt.max': RETRY_MAX_ATTEMPTS,
+          'payment.gateway': gateway.name,
+          'payment.circuit_state': breaker.getState().state,
+        });
+
+        try {
+          const value = await breaker.execute(async () => {
+            await applyFault(`payment.${operation}`, { gateway: gateway.name, ...context });
+            return fn();
+          });
+
+          span.setAttribute('payment.attempt.outcome', 'success');
+          return value;
+        } catch (error) {
+          span.setAttributes({
+            'payment.attempt.outcome': error.code === 'PAYMENT_FAILED' ? 'declined' : 'error',
+            'payment.attempt.retryable': isRetryable(error),
+            ...(error.reason && { 'payment.attempt.error_reason': error.reason }),
+          });
+          throw error;
+        }
+      });
+
+      setAttributes({ 'payment.attempts': attempt });
+      return result;
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= RETRY_MAX_ATTEMPTS) {
+        setAttributes({ 'payment.attempts': attempt });
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delayMs = backoffDelay(attempt);
+      addEvent('payment.retry_scheduled', {
+        operation,
+        attempt,
+        delay_ms: delayMs,
+        reason: error.reason || error.message,
+      });
+      await sleep(delayMs);
+    }
+  }
+}
 
 /**
  * Process payment through external payment gateway
- * This simulates an external HTTP call that would be auto-instrumented
+ * With PAYMENT_GATEWAY=http this is a real outbound HTTP call (auto-instrumented)
  */
-export async function processPayment(orderId, amount, paymentMethod) {
+export async function processPayment(orderId, amount, paymentMethod, currency = BASE_CURRENCY) {
   return withSpan(
     'payment.process',
     async (span) => {
@@ -13,7 +128,8 @@ export async function processPayment(orderId, amount, paymentMethod) {
         'payment.order_id': orderId,
         'payment.amount': amount,
         'payment.method': paymentMethod,
-        'payment.currency': 'USD',
+        'payment.currency': currency,
+        'payment.gateway': gateway.name,
       });
 
       addEvent('payment.initiated', {
@@ -22,58 +138,51 @@ export async function processPayment(orderId, amount, paymentMethod) {
         method: paymentMethod,
       });
 
-      // Simulate payment processing
-      // In a real application, this would call an external payment API
       try {
-        // Simulate network delay
-        await new Promise((resolve) => setTimeout(resolve, 100 + Math.random() * 400));
-
-        // Simulate random failures (10% failure rate)
-        const shouldFail = Math.random() < 0.1;
-
-        if (shouldFail) {
-          const errorReasons = [
-            'insufficient_funds',
-            'card_declined',
-            'expired_card',
-            'invalid_cvv',
-          ];
-          const errorReason = errorReasons[Math.floor(Math.random() * errorReasons.length)];
-
-          addEvent('payment.failed', {
-            order_id: orderId,
-            reason: errorReason,
-          });
-
-          span.setAttribute('payment.status', 'failed');
-          span.setAttribute('payment.error_reason', errorReason);
-
-          const error = new Error(`Payment failed: ${errorReason}`);
-          error.code = 'PAYMENT_FAILED';
-          error.reason = errorReason;
-          throw error;
-        }
-
-        // Simulate successful payment
-        const transactionId = `txn_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+        // The idempotency key lets the gateway dedupe a retried charge
+        const charge = await callGateway(
+          'charge',
+          () =>
+            gateway.charge({
+              orderId,
+              amount,
+              currency,
+              method: paymentMethod,
+              idempotencyKey: chargeKey(orderId),
+            }),
+          { method: paymentMethod, amount }
+        );
 
         addEvent('payment.succeeded', {
           order_id: orderId,
-          transaction_id: transactionId,
+          transaction_id: charge.transactionId,
         });
 
         span.setAttribute('payment.status', 'success');
-        span.setAttribute('payment.transaction_id', transactionId);
+        span.setAttribute('payment.transaction_id', charge.transactionId);
 
         return {
           success: true,
-          transactionId,
+          transactionId: charge.transactionId,
           amount,
           paymentMethod,
           timestamp: new Date().toISOString(),
         };
       } catch (error) {
-        span.setAttribute('payment.status', 'error');
+        if (error.code === 'PAYMENT_FAILED') {
+          addEvent('payment.failed', {
+            order_id: orderId,
+            reason: error.reason,
+          });
+
+          span.setAttribute('payment.status', 'failed');
+          span.setAttribute('payment.error_reason', error.reason);
+        } else {
+          span.setAttribute('payment.status', 'error');
+          if (error.reason) {
+            span.setAttribute('payment.error_reason', error.reason);
+          }
+        }
 
         // Re-throw to let the span handler catch it
         throw error;
@@ -82,6 +191,60 @@ export async function processPayment(orderId, amount, paymentMethod) {
   );
 }
 
+/**
+ * Ask the gateway to charge asynchronously
+ * Resolves once the gateway has accepted the charge; the outcome arrives
+ * later at POST /api/webhooks/payment.
+ */
+export async function requestPayment(orderId, amount, paymentMethod, currency = BASE_CURRENCY) {
+  return withSpan(
+    'payment.request',
+    async (span) => {
+      span.setAttributes({
+        'payment.order_id': orderId,
+        'payment.amount': amount,
+        'payment.method': paymentMethod,
+        'payment.currency': currency,
+        'payment.gateway': gateway.name,
+        'payment.mode': PaymentMode.ASYNC,
+      });
+
+      const charge = await callGateway(
+        'request',
+        () =>
+          gateway.requestCharge({
+            orderId,
+            amount,
+            currency,
+            method: paymentMethod,
+            idempotencyKey: chargeKey(orderId),
+            webhookUrl: WEBHOOK_URL,
+          }),
+        { method: paymentMethod, amount }
+      );
+
+      span.setAttributes({
+        'payment.status': charge.status,
+        'payment.transaction_id': charge.transactionId,
+      });
+
+      addEvent('payment.requested', {
+        order_id: orderId,
+        transaction_id: charge.transactionId,
+      });
+
+      return {
+        success: true,
+        pending: true,
+        transactionId: charge.transactionId,
+        amount,
+        paymentMethod,
+        timestamp: new Date().toISOString(),
+      };
+    }
+  );
+}
+
 /**
  * Verify payment status
  */
@@ -89,15 +252,19 @@ export async function verifyPayment(transactionId) {
   return withSpan(
     'payment.verify',
     async (span) => {
-      span.setAttribute('payment.transaction_id', transactionId);
+      span.setAttributes({
+        'payment.transaction_id': transactionId,
+        'payment.gateway': gateway.name,
+      });
 
-      // Simulate verification check
-      await new Promise((resolve) => setTimeout(resolve, 50 + Math.random() * 100));
+      const result = await callGateway('verify', () => gateway.verify(transactionId));
 
-      addEvent('payment.verified', { transaction_id: transactionId });
+      span.setAttribute('payment.status', result.status);
+      addEvent('payment.verified', { transaction_id: transactionId, status: result.status });
 
       return {
-        verified: true,
+        verified: result.verified,
+        status: result.status,
         transactionId,
         timestamp: new Date().toISOString(),
       };
@@ -105,6 +272,34 @@ export async function verifyPayment(transactionId) {
   );
 }
 
+/**
+ * Look up the charge made for an order, if the gateway has one
+ * Resolves with { transactionId, status } or null. Recovery uses it to tell
+ * an interrupted order whose charge went through from one never charged.
+ */
+export async function findCharge(orderId) {
+  return withSpan(
+    'payment.lookup',
+    async (span) => {
+      span.setAttributes({
+        'payment.order_id': orderId,
+        'payment.gateway': gateway.name,
+      });
+
+      const charge = await callGateway('lookup', () => gateway.findCharge(chargeKey(orderId)));
+
+      span.setAttribute('payment.status', charge?.status ?? 'none');
+      addEvent('payment.looked_up', {
+        order_id: orderId,
+        status: charge?.status ?? 'none',
+        ...(charge && { transaction_id: charge.transactionId }),
+      });
+
+      return charge;
+    }
+  );
+}
+
 /**
  * Refund a payment
  */
@@ -115,24 +310,29 @@ export async function refundPayment(transactionId, amount) {
       span.setAttributes({
         'payment.transaction_id': transactionId,
         'payment.refund_amount': amount,
+        'payment.gateway': gateway.name,
       });
 
-      // Simulate refund processing
-      await new Promise((resolve) => setTimeout(resolve, 200 + Math.random() * 300));
-
-      const refundId = `ref_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+      const result = await callGateway(
+        'refund',
+        () =>
+          gateway.refund(transactionId, amount, {
+            idempotencyKey: `refund-${transactionId}`,
+          }),
+        { amount }
+      );
 
       addEvent('payment.refunded', {
         transaction_id: transactionId,
-        refund_id: refundId,
+        refund_id: result.refundId,
         amount,
       });
 
-      span.setAttribute('payment.refund_id', refundId);
+      span.setAttribute('payment.refund_id', result.refundId);
 
       return {
         success: true,
-        refundId,
+        refundId: result.refundId,
         transactionId,
         amount,
         timestamp: new Date().toISOString(),
@@ -141,8 +341,27 @@ export async function refundPayment(transactionId, amount) {
   );
 }
 
+/**
+ * Gateway and circuit breaker status for /health
+ */
+export function getPaymentHealth() {
+  const circuitBreaker = breaker.getState();
+
+  return {
+    status: circuitBreaker.state === CircuitState.CLOSED ? 'healthy' : 'degraded',
+    gateway: gateway.name,
+    circuitBreaker,
+  };
+}
+
 export default {
+  PaymentMode,
+  PAYMENT_MODE,
+  isRetryable,
   processPayment,
+  requestPayment,
   verifyPayment,
+  findCharge,
   refundPayment,
+  getPaymentHealth,
 };
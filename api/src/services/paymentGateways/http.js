@@ -0,0 +1,165 @@
+import axios from 'axios';
+
+/**
+ * HTTP gateway adapter
+ * Talks to a gateway over HTTP (the local mock in mock-gateway/ by default).
+ * Calls go through axios, so the HTTP client span and traceparent header
+ * are added by the auto-instrumentation.
+ */
+
+const client = axios.create({
+  baseURL: process.env.PAYMENT_GATEWAY_URL || 'http://localhost:4000',
+  timeout: parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS || '5000', 10),
+});
+
+export const name = 'http';
+
+/**
+ * Translate an axios failure into the error shape the payment service expects
+ */
+function toGatewayError(error) {
+  const status = error.response?.status;
+  const body = error.response?.data?.error;
+
+  // 402: the gateway answered and declined the charge
+  if (status === 402) {
+    const declined = new Error(`Payment failed: ${body?.reason || 'declined'}`);
+    declined.code = 'PAYMENT_FAILED';
+    declined.reason = body?.reason || 'declined';
+    return declined;
+  }
+
+  if (status === 404) {
+    const notFound = new Error(body?.message || 'Transaction not found at gateway');
+    notFound.code = 'NOT_FOUND';
+    notFound.statusCode = 404;
+    return notFound;
+  }
+
+  // Anything else is a gateway error: timeouts, refused connections and 5xx
+  // are outages, other 4xx mean the gateway rejected the request itself
+  const outage = new Error(`Payment gateway error: ${body?.message || error.message}`);
+  outage.code = 'PAYMENT_GATEWAY_ERROR';
+  outage.statusCode = 502;
+  if (error.code === 'ECONNABORTED') {
+    outage.reason = 'gateway_timeout';
+  } else if (status && status < 500 && status !== 429) {
+    outage.reason = 'gateway_rejected';
+  } else {
+    outage.reason = 'gateway_unavailable';
+  }
+  outage.gatewayStatus = status;
+  return outage;
+}
+
+/**
+ * Charge a payment method
+ * The idempotency key makes a retried charge return the original one
+ */
+export async function charge({ orderId, amount, currency, method, idempotencyKey }) {
+  try {
+    const response = await client.post(
+      '/v1/charges',
+      { orderId, amount, currency, method },
+      { headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {} }
+    );
+
+    return {
+      transactionId: response.data.id,
+      status: response.data.status,
+      amount,
+      method,
+    };
+  } catch (error) {
+    throw toGatewayError(error);
+  }
+}
+
+/**
+ * Start a charge that settles asynchronously
+ * The gateway answers 202 and later POSTs a signed event to webhookUrl.
+ */
+export async function requestCharge({ orderId, amount, currency, method, idempotencyKey, webhookUrl }) {
+  try {
+    const response = await client.post(
+      '/v1/charges',
+      { orderId, amount, currency, method, webhookUrl },
+      { headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {} }
+    );
+
+    return {
+      transactionId: response.data.id,
+      status: response.data.status,
+      amount,
+      method,
+    };
+  } catch (error) {
+    throw toGatewayError(error);
+  }
+}
+
+/**
+ * Look up a charge
+ */
+export async function verify(transactionId) {
+  try {
+    const response = await client.get(`/v1/charges/${encodeURIComponent(transactionId)}`);
+
+    return {
+      transactionId,
+      verified: response.data.status === 'captured' || response.data.status === 'refunded',
+      status: response.data.status,
+    };
+  } catch (error) {
+    throw toGatewayError(error);
+  }
+}
+
+/**
+ * Find the charge created with an idempotency key, or null if there is none
+ */
+export async function findCharge(idempotencyKey) {
+  try {
+    const response = await client.get('/v1/charges', { params: { idempotencyKey } });
+
+    return {
+      transactionId: response.data.id,
+      status: response.data.status,
+    };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw toGatewayError(error);
+  }
+}
+
+/**
+ * Refund a charge
+ */
+export async function refund(transactionId, amount, { idempotencyKey } = {}) {
+  try {
+    const response = await client.post(
+      `/v1/charges/${encodeURIComponent(transactionId)}/refunds`,
+      { amount },
+      { headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {} }
+    );
+
+    return {
+      refundId: response.data.id,
+      transactionId,
+      amount,
+    };
+  } catch (error) {
+    throw toGatewayError(error);
+  }
+}
+
+export default {
+  name,
+  charge,
+  requestCharge,
+  verify,
+  findCharge,
+  refund,
+};
@@ -0,0 +1,31 @@
+import * as simulated from './simulated.js';
+import * as http from './http.js';
+
+/**
+ * Payment gateway adapters
+ * Every adapter exposes: name, charge({ orderId, amount, currency, method }),
+ * verify(transactionId), findCharge(idempotencyKey) and refund(transactionId, amount).
+ * Declines throw an error with code PAYMENT_FAILED and a reason.
+ *
+ * Select one with PAYMENT_GATEWAY (default: simulated).
+ */
+const adapters = {
+  simulated,
+  http,
+};
+
+export function getGateway(name = process.env.PAYMENT_GATEWAY || 'simulated') {
+  const adapter = adapters[name];
+
+  if (!adapter) {
+    throw new Error(
+      `Unknown PAYMENT_GATEWAY '${name}'. Available: ${Object.keys(adapters).join(', ')}`
+    );
+  }
+
+  return adapter;
+}
+
+export default {
+  getGateway,
+};
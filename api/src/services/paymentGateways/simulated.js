@@ -0,0 +1,148 @@
+import { context, ROOT_CONTEXT } from '@opentelemetry/api';
+import { applyFault } from '../faultInjection.js';
+import { createEvent, deliverWebhook } from '../webhooks.js';
+
+/**
+ * In-process simulated gateway
+ * No network call and always succeeds. Its latency and declines come from
+ * fault injection (see services/faultInjection.js), applied in payment.js.
+ * Async charges settle in the background and report back by signed webhook.
+ */
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+}
+
+export const name = 'simulated';
+
+// Charges by idempotency key, for the lifetime of the process (like the mock gateway)
+const chargesByKey = new Map();
+
+/**
+ * Charge a payment method
+ * A repeated idempotency key returns the original charge
+ */
+export async function charge({ amount, method, idempotencyKey }) {
+  if (idempotencyKey && chargesByKey.has(idempotencyKey)) {
+    return chargesByKey.get(idempotencyKey);
+  }
+
+  const result = {
+    transactionId: generateId('txn'),
+    status: 'captured',
+    amount,
+    method,
+  };
+
+  if (idempotencyKey) {
+    chargesByKey.set(idempotencyKey, result);
+  }
+  return result;
+}
+
+/**
+ * Settle a pending charge and report the outcome to the webhook URL
+ */
+async function settle(pending, { orderId, webhookUrl }) {
+  const { transactionId, amount, method } = pending;
+  let event;
+
+  try {
+    // Same latency/decline rules as a synchronous charge
+    await applyFault('payment.charge', { gateway: name, method, amount });
+    pending.status = 'captured';
+    event = createEvent('payment.succeeded', { transactionId, orderId, amount });
+  } catch (error) {
+    pending.status = 'declined';
+    event = createEvent('payment.failed', {
+      transactionId,
+      orderId,
+      amount,
+      reason: error.reason || 'processing_error',
+    });
+  }
+
+  const delivery = await deliverWebhook(webhookUrl, event, process.env.PAYMENT_WEBHOOK_SECRET);
+
+  if (!delivery.delivered) {
+    console.warn(`⚠️  Simulated gateway could not deliver ${event.type} for order ${orderId}`);
+  }
+}
+
+/**
+ * Start a charge that settles asynchronously
+ * Resolves with a pending charge; the outcome arrives via webhookUrl. A
+ * repeated idempotency key returns the original charge without settling it again.
+ */
+export async function requestCharge({ orderId, amount, method, idempotencyKey, webhookUrl }) {
+  if (idempotencyKey && chargesByKey.has(idempotencyKey)) {
+    return { ...chargesByKey.get(idempotencyKey) };
+  }
+
+  const pending = {
+    transactionId: generateId('txn'),
+    status: 'pending',
+    amount,
+    method,
+  };
+
+  if (idempotencyKey) {
+    chargesByKey.set(idempotencyKey, pending);
+  }
+
+  // Settle outside the request's trace, as a real gateway would
+  context.with(ROOT_CONTEXT, () => {
+    setTimeout(() => {
+      settle(pending, { orderId, webhookUrl }).catch((error) => {
+        console.warn('⚠️  Simulated settlement failed:', error.message);
+      });
+    }, 0);
+  });
+
+  return { ...pending };
+}
+
+/**
+ * Look up a charge
+ */
+export async function verify(transactionId) {
+  return {
+    transactionId,
+    verified: true,
+    status: 'captured',
+  };
+}
+
+/**
+ * Find the charge created with an idempotency key, or null if there is none
+ */
+export async function findCharge(idempotencyKey) {
+  const found = chargesByKey.get(idempotencyKey);
+  return found ? { transactionId: found.transactionId, status: found.status } : null;
+}
+
+/**
+ * Refund a charge
+ */
+export async function refund(transactionId, amount) {
+  for (const charged of chargesByKey.values()) {
+    if (charged.transactionId === transactionId) {
+      charged.status = 'refunded';
+    }
+  }
+
+  return {
+    refundId: generateId('ref'),
+    transactionId,
+    amount,
+  };
+}
+
+export default {
+  name,
+  charge,
+  requestCharge,
+  verify,
+  findCharge,
+  refund,
+};
@@ -0,0 +1,140 @@
+import { query } from './database.js';
+import { BASE_CURRENCY } from './currency.js';
+import { withSpan, addEvent } from '../utils/tracer.js';
+
+/**
+ * Persist a payment attempt for an order
+ * Pass a transaction client to write inside an open transaction
+ */
+export async function recordPayment(
+  { orderId, transactionId = null, amount, currency = BASE_CURRENCY, method, status, failureReason = null },
+  client = null
+) {
+  return withSpan(
+    'payment.record',
+    async (span) => {
+      span.setAttributes({
+        'payment.order_id': orderId,
+        'payment.status': status,
+        ...(transactionId && { 'payment.transaction_id': transactionId }),
+      });
+
+      const db = client || { query };
+      const result = await db.query(
+        `INSERT INTO payments (order_id, transaction_id, amount, currency, method, status, failure_reason)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [orderId, transactionId, amount, currency, method, status, failureReason]
+      );
+
+      addEvent('payment.recorded', {
+        order_id: orderId,
+        payment_id: result.rows[0].id,
+        status,
+      });
+
+      return result.rows[0];
+    }
+  );
+}
+
+/**
+ * Settle a pending (asynchronous) payment as captured, failed or expired
+ * Returns null if the payment is no longer pending
+ */
+export async function settlePayment(transactionId, { status, failureReason = null }, client = null) {
+  return withSpan(
+    'payment.record_settlement',
+    async (span) => {
+      span.setAttributes({
+        'payment.transaction_id': transactionId,
+        'payment.status': status,
+      });
+
+      const db = client || { query };
+      const result = await db.query(
+        `UPDATE payments
+         SET status = $1, failure_reason = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE transaction_id = $3 AND status = 'pending'
+         RETURNING *`,
+        [status, failureReason, transactionId]
+      );
+
+      if (result.rows.length === 0) {
+        addEvent('payment.settlement_unmatched', { transaction_id: transactionId, status });
+        return null;
+      }
+
+      addEvent('payment.settled', { transaction_id: transactionId, status });
+      return result.rows[0];
+    }
+  );
+}
+
+/**
+ * Mark a captured payment as refunded
+ */
+export async function recordRefund(transactionId, refundId, client = null) {
+  return withSpan(
+    'payment.record_refund',
+    async (span) => {
+      span.setAttributes({
+        'payment.transaction_id': transactionId,
+        'payment.refund_id': refundId,
+      });
+
+      const db = client || { query };
+      const result = await db.query(
+        `UPDATE payments
+         SET status = 'refunded', refund_id = $1, refunded_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE transaction_id = $2
+         RETURNING *`,
+        [refundId, transactionId]
+      );
+
+      if (result.rows.length === 0) {
+        addEvent('payment.refund_unmatched', { transaction_id: transactionId });
+        return null;
+      }
+
+      addEvent('payment.refund_recorded', {
+        transaction_id: transactionId,
+        refund_id: refundId,
+      });
+
+      return result.rows[0];
+    }
+  );
+}
+
+/**
+ * Get all payment attempts for an order, oldest first
+ */
+export async function getPaymentHistory(orderId) {
+  return withSpan(
+    'payment.history',
+    async (span) => {
+      span.setAttribute('payment.order_id', orderId);
+
+      const result = await query(
+        `SELECT id, transaction_id, amount, currency, method, status, failure_reason,
+                refund_id, refunded_at, created_at, updated_at
+         FROM payments
+         WHERE order_id = $1
+         ORDER BY created_at, id`,
+        [orderId]
+      );
+
+      span.setAttribute('payment.history_count', result.rows.length);
+      return result.rows;
+    }
+  );
+}
+
+export default {
+  recordPayment,
+  settlePayment,
+  recordRefund,
+  getPaymentHistory,
+};
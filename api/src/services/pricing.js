@@ -0,0 +1,275 @@
+import * as currency from './currency.js';
+import { withSpan, addEvent } from '../utils/tracer.js';
+
+/**
+ * Pricing engine
+ *
+ * quote() prices a cart by running pluggable rules over its lines, stage by
+ * stage:  discount → shipping → tax
+ *
+ * A rule is { name, stage, evaluate(ctx) } where evaluate returns
+ * { applied, amountMinor, label, detail }. amountMinor is in the quote's
+ * currency (negative for discounts). Every evaluation, applied or not, is
+ * recorded as a `pricing.rule_evaluated` event on the `pricing.quote` span.
+ *
+ * Money is integer minor units throughout; configured amounts are in
+ * BASE_CURRENCY and converted to the quote currency.
+ */
+
+export const RuleStage = {
+  DISCOUNT: 'discount',
+  SHIPPING: 'shipping',
+  TAX: 'tax',
+};
+
+const STAGE_ORDER = [RuleStage.DISCOUNT, RuleStage.SHIPPING, RuleStage.TAX];
+
+// Sales tax / VAT in percent, keyed by region (country or country-subdivision)
+export const TAX_RATES = {
+  US: '0',
+  'US-CA': '7.25',
+  'US-NY': '8.875',
+  'US-TX': '6.25',
+  'US-WA': '6.5',
+  CA: '5',
+  'CA-ON': '13',
+  GB: '20',
+  DE: '19',
+  FR: '20',
+  JP: '10',
+  AU: '10',
+};
+
+export const DEFAULT_REGION = process.env.DEFAULT_TAX_REGION || 'US';
+
+// Shipping, in BASE_CURRENCY: flat fee plus a per-started-kg charge, free over a threshold
+const SHIPPING = {
+  baseFee: process.env.SHIPPING_BASE_FEE || '4.99',
+  perKg: process.env.SHIPPING_PER_KG || '1.50',
+  freeOver: process.env.FREE_SHIPPING_THRESHOLD || '100.00',
+};
+
+const rules = [];
+
+/**
+ * Add a rule to the engine; rules run in stage order, then registration order
+ */
+export function registerRule(rule) {
+  if (!STAGE_ORDER.includes(rule.stage) || typeof rule.evaluate !== 'function') {
+    throw new Error(`Invalid pricing rule: ${rule.name}`);
+  }
+  rules.push(rule);
+}
+
+/**
+ * Percentage of an amount in minor units, rounded half up (4 decimal places of percent)
+ */
+function percentOf(minor, percent) {
+  const scaledPercent = BigInt(Math.round(Number(percent) * 10000));
+  return Number((BigInt(minor) * scaledPercent + 500000n) / 1000000n);
+}
+
+function baseAmount(value, currencyCode) {
+  return currency.convertFromBase(currency.toMinorUnits(value, currency.BASE_CURRENCY), currencyCode);
+}
+
+/**
+ * Look up the tax rate for a region, falling back from "US-CA" to "US"
+ */
+export function getTaxRate(region) {
+  const rate = TAX_RATES[region] ?? TAX_RATES[region.split('-')[0]];
+
+  if (rate === undefined) {
+    const error = new Error(`Unsupported region: ${region}`);
+    error.code = 'UNSUPPORTED_REGION';
+    error.statusCode = 400;
+    error.details = { supported: Object.keys(TAX_RATES) };
+    throw error;
+  }
+
+  return rate;
+}
+
+// Coupon (see coupons.js): percentage off, or a fixed amount off (never below zero)
+registerRule({
+  name: 'coupon',
+  stage: RuleStage.DISCOUNT,
+  evaluate(ctx) {
+    if (!ctx.coupon) {
+      return { applied: false, detail: 'no coupon' };
+    }
+
+    const { code, type, value } = ctx.coupon;
+    const discount =
+      type === 'percentage'
+        ? percentOf(ctx.subtotalMinor, value)
+        : Math.min(baseAmount(value, ctx.currency), ctx.subtotalMinor);
+
+    return {
+      applied: discount > 0,
+      amountMinor: -discount,
+      label: type === 'percentage' ? `Coupon ${code} (${value}% off)` : `Coupon ${code}`,
+      detail: `${type} ${value}`,
+    };
+  },
+});
+
+// Shipping by weight: flat fee plus a charge per started kilogram
+registerRule({
+  name: 'shipping.weight',
+  stage: RuleStage.SHIPPING,
+  evaluate(ctx) {
+    const kilograms = Math.ceil(ctx.weightGrams / 1000);
+    const fee =
+      baseAmount(SHIPPING.baseFee, ctx.currency) + kilograms * baseAmount(SHIPPING.perKg, ctx.currency);
+
+    return {
+      applied: true,
+      amountMinor: fee,
+      label: `Shipping (${kilograms} kg)`,
+      detail: `${ctx.weightGrams}g`,
+    };
+  },
+});
+
+// Free shipping once the discounted goods total reaches the threshold
+registerRule({
+  name: 'shipping.free_threshold',
+  stage: RuleStage.SHIPPING,
+  evaluate(ctx) {
+    const threshold = baseAmount(SHIPPING.freeOver, ctx.currency);
+    const goodsMinor = ctx.subtotalMinor + ctx.discountMinor;
+
+    if (goodsMinor < threshold || ctx.shippingMinor === 0) {
+      return { applied: false, detail: `goods ${goodsMinor} below threshold ${threshold}` };
+    }
+
+    return {
+      applied: true,
+      amountMinor: -ctx.shippingMinor,
+      label: 'Free shipping',
+      detail: `goods ${goodsMinor} >= threshold ${threshold}`,
+    };
+  },
+});
+
+// Sales tax / VAT on the discounted goods total for the delivery region
+registerRule({
+  name: 'tax.region',
+  stage: RuleStage.TAX,
+  evaluate(ctx) {
+    const rate = getTaxRate(ctx.region);
+    const tax = percentOf(ctx.subtotalMinor + ctx.discountMinor, rate);
+
+    return {
+      applied: tax > 0,
+      amountMinor: tax,
+      label: `Tax ${ctx.region} (${rate}%)`,
+      detail: `rate ${rate}%`,
+    };
+  },
+});
+
+/**
+ * Price a cart
+ * lines: [{ productId, variantId, sku, name, quantity, unitPriceMinor, weightGrams }] in
+ * currencyCode
+ * Returns an itemized breakdown with minor-unit and decimal amounts.
+ */
+export async function quote({ lines, currency: currencyCode, region = DEFAULT_REGION, coupon = null }) {
+  return withSpan('pricing.quote', async (span) => {
+    const ctx = {
+      currency: currencyCode,
+      region,
+      coupon,
+      subtotalMinor: lines.reduce((sum, line) => sum + line.unitPriceMinor * line.quantity, 0),
+      weightGrams: lines.reduce((sum, line) => sum + (line.weightGrams || 0) * line.quantity, 0),
+      discountMinor: 0,
+      shippingMinor: 0,
+      taxMinor: 0,
+    };
+
+    span.setAttributes({
+      'pricing.currency': currencyCode,
+      'pricing.region': region,
+      'pricing.lines_count': lines.length,
+      'pricing.subtotal_minor': ctx.subtotalMinor,
+      ...(coupon && { 'pricing.coupon_code': coupon.code }),
+    });
+
+    const adjustments = [];
+    const stageTotals = {
+      [RuleStage.DISCOUNT]: 'discountMinor',
+      [RuleStage.SHIPPING]: 'shippingMinor',
+      [RuleStage.TAX]: 'taxMinor',
+    };
+
+    for (const stage of STAGE_ORDER) {
+      for (const rule of rules.filter((candidate) => candidate.stage === stage)) {
+        const result = rule.evaluate(ctx);
+
+        addEvent('pricing.rule_evaluated', {
+          rule: rule.name,
+          stage,
+          applied: result.applied,
+          ...(result.applied && { amount_minor: result.amountMinor }),
+          ...(result.detail && { detail: result.detail }),
+        });
+
+        if (result.applied) {
+          ctx[stageTotals[stage]] += result.amountMinor;
+          adjustments.push({
+            rule: rule.name,
+            stage,
+            label: result.label,
+            amount: currency.fromMinorUnits(result.amountMinor, currencyCode),
+            amountMinor: result.amountMinor,
+          });
+        }
+      }
+    }
+
+    const totalMinor = ctx.subtotalMinor + ctx.discountMinor + ctx.shippingMinor + ctx.taxMinor;
+    const toDecimal = (minor) => currency.fromMinorUnits(minor, currencyCode);
+
+    span.setAttributes({
+      'pricing.discount_minor': ctx.discountMinor,
+      'pricing.shipping_minor': ctx.shippingMinor,
+      'pricing.tax_minor': ctx.taxMinor,
+      'pricing.total_minor': totalMinor,
+      'pricing.adjustments_count': adjustments.length,
+    });
+
+    return {
+      currency: currencyCode,
+      exchangeRate: currency.getRate(currencyCode),
+      region,
+      coupon: coupon ? { code: coupon.code, type: coupon.type, value: coupon.value } : null,
+      lines: lines.map((line) => ({
+        productId: line.productId,
+        variantId: line.variantId ?? null,
+        sku: line.sku,
+        name: line.name,
+        quantity: line.quantity,
+        unitPrice: toDecimal(line.unitPriceMinor),
+        lineTotal: toDecimal(line.unitPriceMinor * line.quantity),
+      })),
+      adjustments,
+      subtotal: toDecimal(ctx.subtotalMinor),
+      discount: toDecimal(-ctx.discountMinor),
+      shipping: toDecimal(ctx.shippingMinor),
+      tax: toDecimal(ctx.taxMinor),
+      total: toDecimal(totalMinor),
+      totalMinor,
+    };
+  });
+}
+
+export default {
+  RuleStage,
+  TAX_RATES,
+  DEFAULT_REGION,
+  registerRule,
+  getTaxRate,
+  quote,
+};
@@ -0,0 +1,650 @@
+import { query, withTransaction, SUGGEST_SIMILARITY_THRESHOLD } from './database.js';
+import * as cache from './cache.js';
+import { getCurrency } from './currency.js';
+import { withSpan, addEvent } from '../utils/tracer.js';
+import { logger } from '../utils/logger.js';
+
+// Catalog fields that can be written through the API; stock changes go
+// through the inventory ledger (POST /api/inventory/:productId/adjust)
+export const EDITABLE_FIELDS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'weight_grams',
+  'image_url',
+  'category_id',
+];
+
+// Matches the products.weight_grams column default
+export const DEFAULT_WEIGHT_GRAMS = 500;
+
+const PRODUCT_COLUMNS = `id, sku, name, description, price, stock_quantity, weight_grams, image_url,
+  category_id, rating_avg, rating_count, created_at, updated_at`;
+
+// Sortable columns for listProducts; `cast` types the cursor value in SQL
+export const SORTS = {
+  name: { column: 'name', cast: 'text' },
+  price: { column: 'price', cast: 'numeric' },
+  created_at: { column: 'created_at', cast: 'timestamp' },
+};
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+function invalidCursor() {
+  const error = new Error('Invalid or stale cursor; restart from the first page');
+  error.code = 'VALIDATION_ERROR';
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Opaque keyset cursor: the last row's sort value and id, plus the sort it belongs to
+ */
+function encodeCursor({ sort, order, value, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id })).toString('base64url');
+}
+
+function decodeCursor(cursor, { sort, order }) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw invalidCursor();
+  }
+
+  if (decoded?.s !== sort || decoded.o !== order || !Number.isInteger(decoded.id)) {
+    throw invalidCursor();
+  }
+
+  return decoded;
+}
+
+export const MAX_TAG_FILTERS = 5;
+
+/**
+ * WHERE conditions for the product list filters
+ * withCategory: false leaves the category filter out (for the category facet).
+ * Returns the conditions and their params; addParam appends further params.
+ */
+function listFilters(
+  { minPrice, maxPrice, inStock, category, tags = [], currencyCode },
+  { withCategory = true } = {}
+) {
+  const conditions = ['products.deleted_at IS NULL'];
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const { rate, minorUnits } = getCurrency(currencyCode);
+    const rateParam = addParam(rate);
+    const displayedPrice = `ROUND(price * ${rateParam}::numeric, ${addParam(minorUnits)}::int)`;
+
+    if (minPrice !== undefined) {
+      conditions.push(`${displayedPrice} >= ${addParam(minPrice)}::numeric`);
+    }
+    if (maxPrice !== undefined) {
+      conditions.push(`${displayedPrice} <= ${addParam(maxPrice)}::numeric`);
+    }
+  }
+  if (inStock) {
+    conditions.push('stock_quantity > 0');
+  }
+  if (category && withCategory) {
+    // The category itself and everything below it
+    conditions.push(`products.category_id IN (
+      WITH RECURSIVE subtree AS (
+        SELECT id FROM categories WHERE slug = ${addParam(category)}
+        UNION ALL
+        SELECT child.id FROM categories child JOIN subtree ON child.parent_id = subtree.id
+      )
+      SELECT id FROM subtree
+    )`);
+  }
+  // Tags are ANDed: a product must carry every one
+  for (const tag of tags) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM product_tags pt JOIN tags t ON t.id = pt.tag_id
+      WHERE pt.product_id = products.id AND t.slug = ${addParam(tag)}
+    )`);
+  }
+
+  return { conditions, params, addParam };
+}
+
+/**
+ * Facet counts for a filtered product list
+ *
+ * Category counts include products in subcategories and ignore the category
+ * filter, so the other categories stay selectable with their counts. Tag
+ * counts apply every filter: they say how many products remain if that tag
+ * is added.
+ */
+async function listFacets(filters) {
+  const all = listFilters(filters);
+  const withoutCategory = listFilters(filters, { withCategory: false });
+
+  const [categoryResult, tagResult] = await Promise.all([
+    query(
+      `WITH RECURSIVE lineage AS (
+         SELECT id AS category_id, id AS ancestor_id, parent_id FROM categories
+         UNION ALL
+         SELECT lineage.category_id, parent.id, parent.parent_id
+         FROM lineage JOIN categories parent ON parent.id = lineage.parent_id
+       )
+       SELECT c.id, c.slug, c.name, c.parent_id, COUNT(*)::int AS count
+       FROM products
+       JOIN lineage ON lineage.category_id = products.category_id
+       JOIN categories c ON c.id = lineage.ancestor_id
+       WHERE ${withoutCategory.conditions.join(' AND ')}
+       GROUP BY c.id
+       ORDER BY c.sort_order, c.name`,
+      withoutCategory.params
+    ),
+    query(
+      `SELECT t.slug, t.name, COUNT(*)::int AS count
+       FROM products
+       JOIN product_tags pt ON pt.product_id = products.id
+       JOIN tags t ON t.id = pt.tag_id
+       WHERE ${all.conditions.join(' AND ')}
+       GROUP BY t.id
+       ORDER BY count DESC, t.name`,
+      all.params
+    ),
+  ]);
+
+  return { categories: categoryResult.rows, tags: tagResult.rows };
+}
+
+/**
+ * List catalog products one page at a time
+ *
+ * Keyset pagination on (sort column, id), so pages stay stable while products
+ * are added. Price filters are in currencyCode and compared against the
+ * converted, rounded price a client would see. `category` is a category slug
+ * (subcategories included) and `tags` a list of tag slugs that must all match.
+ * Returns rows with base prices, plus facet counts for the filtered list.
+ */
+export async function listProducts({
+  limit = DEFAULT_PAGE_SIZE,
+  cursor = null,
+  sort = 'name',
+  order = 'asc',
+  minPrice,
+  maxPrice,
+  inStock = false,
+  category,
+  tags = [],
+  currencyCode,
+}) {
+  const { column, cast } = SORTS[sort];
+  const filters = { minPrice, maxPrice, inStock, category, tags, currencyCode };
+  const { conditions, params, addParam } = listFilters(filters);
+
+  // Total and facets ignore the cursor: they describe the whole filtered list
+  const filterSql = conditions.join(' AND ');
+  const filterParams = [...params];
+
+  if (cursor) {
+    const position = decodeCursor(cursor, { sort, order });
+    const comparison = order === 'asc' ? '>' : '<';
+    const valueParam = addParam(position.v);
+    const idParam = addParam(position.id);
+    conditions.push(`(${column}, id) ${comparison} (${valueParam}::${cast}, ${idParam}::int)`);
+  }
+
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  // One extra row tells us whether there is a next page
+  const [pageResult, countResult, facets] = await Promise.all([
+    query(
+      `SELECT id, sku, name, description, price, stock_quantity, weight_grams, image_url,
+              category_id, rating_avg, rating_count, created_at, ${column}::text AS cursor_value
+       FROM products
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${column} ${direction}, id ${direction}
+       LIMIT ${addParam(limit + 1)}`,
+      params
+    ),
+    query(`SELECT COUNT(*)::int AS total FROM products WHERE ${filterSql}`, filterParams),
+    listFacets(filters),
+  ]);
+
+  const hasMore = pageResult.rows.length > limit;
+  const rows = pageResult.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    products: rows.map(({ cursor_value: _cursorValue, ...product }) => product),
+    total: countResult.rows[0].total,
+    facets,
+    nextCursor:
+      hasMore && last ? encodeCursor({ sort, order, value: last.cursor_value, id: last.id }) : null,
+  };
+}
+
+export const MAX_SEARCH_PAGE_SIZE = 50;
+
+/**
+ * Build a safe tsquery from free text: words are ANDed and the last one is
+ * a prefix match, so "wireless head" finds "Wireless Headphones" while typing
+ * Returns null when the text has no searchable words.
+ */
+export function toPrefixTsQuery(text) {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu);
+
+  if (!words) {
+    return null;
+  }
+
+  return words.map((word, index) => (index === words.length - 1 ? `${word}:*` : word)).join(' & ');
+}
+
+/**
+ * Full-text search over name (weight A) and description (weight B)
+ * Uses the GIN-indexed search_vector column; results are ranked with
+ * ts_rank_cd and come with <mark>-highlighted name and description snippets.
+ */
+export async function searchProducts({ q, limit = DEFAULT_PAGE_SIZE, offset = 0 }) {
+  return withSpan('products.search.query', async (span) => {
+    const tsQuery = toPrefixTsQuery(q);
+    span.setAttributes({
+      'search.tsquery': tsQuery ?? '',
+      'search.limit': limit,
+      'search.offset': offset,
+    });
+
+    if (!tsQuery) {
+      return { products: [], total: 0 };
+    }
+
+    // Counted separately so a page past the last match still reports the real total
+    const [result, countResult] = await Promise.all([
+      query(
+        `SELECT id, sku, name, description, price, stock_quantity, image_url,
+                ts_rank_cd(search_vector, q) AS rank,
+                ts_headline('english', name, q,
+                            'HighlightAll=true, StartSel=<mark>, StopSel=</mark>')
+                  AS name_highlight,
+                ts_headline('english', COALESCE(description, ''), q,
+                            'StartSel=<mark>, StopSel=</mark>, MinWords=5, MaxWords=20')
+                  AS snippet
+         FROM products, to_tsquery('english', $1) AS q
+         WHERE search_vector @@ q AND deleted_at IS NULL
+         ORDER BY rank DESC, id
+         LIMIT $2 OFFSET $3`,
+        [tsQuery, limit, offset]
+      ),
+      query(
+        `SELECT COUNT(*)::int AS total
+         FROM products
+         WHERE search_vector @@ to_tsquery('english', $1) AND deleted_at IS NULL`,
+        [tsQuery]
+      ),
+    ]);
+
+    const total = countResult.rows[0].total;
+    span.setAttribute('search.total_count', total);
+
+    return {
+      products: result.rows.map(({ rank, ...product }) => ({
+        ...product,
+        rank: Number(rank),
+      })),
+      total,
+    };
+  });
+}
+
+export { SUGGEST_SIMILARITY_THRESHOLD };
+
+// Suggestions depend only on product names, so they live outside products:*,
+// which every stock change clears; catalog edits clear them (invalidateProductCache)
+export const SUGGEST_CACHE_PREFIX = 'suggest:';
+
+/**
+ * Typo-tolerant name completions using trigram word similarity
+ * `<%` applies the threshold set on every pool connection (database.js), so the
+ * trigram GIN index is used; names that start with the text rank first.
+ */
+export async function suggestProducts({ q, limit }) {
+  return withSpan('products.suggest.query', async (span) => {
+    span.setAttributes({
+      'suggest.similarity_threshold': SUGGEST_SIMILARITY_THRESHOLD,
+      'suggest.limit': limit,
+    });
+
+    const result = await query(
+      `SELECT id, sku, name, word_similarity($1, name) AS score
+       FROM products
+       WHERE $1 <% name AND deleted_at IS NULL
+       ORDER BY starts_with(lower(name), $1) DESC, score DESC, name
+       LIMIT $2`,
+      [q, limit]
+    );
+
+    span.setAttribute('suggest.match_count', result.rows.length);
+
+    return result.rows.map((row) => ({ ...row, score: Number(row.score) }));
+  });
+}
+
+/**
+ * Load pricing and stock for a set of products in a single query
+ * Returns a Map of product id → row; ids with no product are absent
+ */
+export async function getProductsByIds(productIds) {
+  return withSpan(
+    'products.load_batch',
+    async (span) => {
+      const ids = [...new Set(productIds.map(Number))];
+      span.setAttribute('products.requested_count', ids.length);
+
+      const result = await query(
+        `SELECT id, sku, name, price, stock_quantity, weight_grams,
+                EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id)
+                  AS has_variants
+         FROM products
+         WHERE id = ANY($1::int[]) AND deleted_at IS NULL`,
+        [ids]
+      );
+
+      const products = new Map(result.rows.map((row) => [row.id, row]));
+
+      span.setAttribute('products.found_count', products.size);
+      addEvent('products.batch_loaded', {
+        requested: ids.length,
+        found: products.size,
+      });
+
+      return products;
+    }
+  );
+}
+
+// price is the variant's effective price: its override, or else the product's
+const VARIANT_COLUMNS = `v.id, v.product_id, v.sku, v.name, v.attributes,
+  COALESCE(v.price, p.price) AS price, v.stock_quantity`;
+
+/**
+ * Load variants by id (of products that have not been deleted)
+ * Returns a Map of variant id → row; ids with no variant are absent
+ */
+export async function getVariantsByIds(variantIds) {
+  const ids = [...new Set(variantIds.map(Number))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const result = await query(
+    `SELECT ${VARIANT_COLUMNS}
+     FROM product_variants v
+     JOIN products p ON p.id = v.product_id
+     WHERE v.id = ANY($1::int[]) AND p.deleted_at IS NULL`,
+    [ids]
+  );
+
+  return new Map(result.rows.map((row) => [row.id, row]));
+}
+
+/**
+ * A product's variants in display order
+ */
+export async function getProductVariants(productId) {
+  const result = await query(
+    `SELECT ${VARIANT_COLUMNS}
+     FROM product_variants v
+     JOIN products p ON p.id = v.product_id
+     WHERE v.product_id = $1
+     ORDER BY v.sort_order, v.id`,
+    [productId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Load the products and variants that order or cart items refer to
+ * Items are { productId, variantId? }. Unknown products are left out of the
+ * products Map for the caller to report; a variant of another product, or a
+ * product that has variants ordered without one, is rejected here.
+ */
+export async function getItemCatalog(items) {
+  const [products, variants] = await Promise.all([
+    getProductsByIds(items.map((item) => item.productId)),
+    getVariantsByIds(items.filter((item) => item.variantId != null).map((item) => item.variantId)),
+  ]);
+
+  for (const item of items) {
+    const product = products.get(Number(item.productId));
+    if (!product) {
+      continue;
+    }
+
+    if (item.variantId != null) {
+      if (variants.get(Number(item.variantId))?.product_id !== product.id) {
+        throw variantNotFound(product.id, item.variantId);
+      }
+    } else if (product.has_variants) {
+      throw variantRequired(product.id);
+    }
+  }
+
+  return { products, variants };
+}
+
+export function variantRequired(productId) {
+  const error = new Error(`Product ${productId} is sold in variants; choose a variantId`);
+  error.code = 'VARIANT_REQUIRED';
+  error.statusCode = 422;
+  error.details = { productId };
+  return error;
+}
+
+export function variantNotFound(productId, variantId) {
+  const error = new Error(`Variant ${variantId} not found for product ${productId}`);
+  error.code = 'VARIANT_NOT_FOUND';
+  error.statusCode = 404;
+  error.details = { productId, variantId };
+  return error;
+}
+
+function productNotFound(productId) {
+  const error = new Error('Product not found');
+  error.code = 'NOT_FOUND';
+  error.statusCode = 404;
+  error.details = { productId };
+  return error;
+}
+
+/**
+ * Turn constraint violations from a product write into client errors:
+ * a duplicate SKU is a 409, an unknown category_id a 422
+ */
+function writeError(error, fields) {
+  if (error.code === '23505') {
+    const conflict = new Error(`A product with SKU ${fields.sku} already exists`);
+    conflict.code = 'DUPLICATE_SKU';
+    conflict.statusCode = 409;
+    conflict.details = { sku: fields.sku };
+    return conflict;
+  }
+
+  // foreign_key_violation on products.category_id
+  if (error.code === '23503') {
+    const invalid = new Error(`Category ${fields.category_id} does not exist`);
+    invalid.code = 'INVALID_CATEGORY';
+    invalid.statusCode = 422;
+    invalid.details = { categoryId: fields.category_id };
+    return invalid;
+  }
+
+  return error;
+}
+
+/**
+ * Drop cached copies of a product, every cached product listing and name suggestion
+ */
+async function invalidateProductCache(productId) {
+  await cache.del(`product:${productId}`);
+  await cache.deletePattern('products:*');
+  await cache.deletePattern(`${SUGGEST_CACHE_PREFIX}*`);
+}
+
+/**
+ * Create a product; its opening stock is recorded in the inventory ledger
+ */
+export async function createProduct(fields) {
+  return withSpan('product.create', async (span) => {
+    const stockQuantity = fields.stock_quantity ?? 0;
+    span.setAttributes({ 'product.sku': fields.sku, 'product.stock_quantity': stockQuantity });
+
+    const columns = EDITABLE_FIELDS.filter((field) => fields[field] !== undefined);
+
+    let product;
+    try {
+      product = await withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO products (${[...columns, 'stock_quantity'].join(', ')})
+           VALUES (${[...columns, 'stock_quantity'].map((_, index) => `$${index + 1}`).join(', ')})
+           RETURNING ${PRODUCT_COLUMNS}`,
+          [...columns.map((field) => fields[field]), stockQuantity]
+        );
+        const created = result.rows[0];
+
+        await client.query(
+          `INSERT INTO inventory_movements (product_id, quantity_change, reason, balance_after)
+           VALUES ($1, $2, 'initial', $2)`,
+          [created.id, stockQuantity]
+        );
+
+        return created;
+      });
+    } catch (error) {
+      throw writeError(error, fields);
+    }
+
+    await invalidateProductCache(product.id);
+
+    span.setAttribute('product.id', product.id);
+    logger.info('Product created', {
+      'product.id': product.id,
+      'product.sku': product.sku,
+      'product.stock_quantity': stockQuantity,
+    });
+
+    return product;
+  });
+}
+
+/**
+ * Update some or all catalog fields of a product (not stock)
+ */
+export async function updateProduct(productId, fields) {
+  return withSpan('product.update', async (span) => {
+    span.setAttribute('product.id', productId);
+
+    const columns = EDITABLE_FIELDS.filter((field) => fields[field] !== undefined);
+    if (columns.length === 0) {
+      return getProduct(productId);
+    }
+
+    let result;
+    try {
+      result = await query(
+        `UPDATE products
+         SET ${columns.map((field, index) => `${field} = $${index + 2}`).join(', ')},
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING ${PRODUCT_COLUMNS}`,
+        [productId, ...columns.map((field) => fields[field])]
+      );
+    } catch (error) {
+      throw writeError(error, fields);
+    }
+
+    if (result.rows.length === 0) {
+      throw productNotFound(productId);
+    }
+
+    await invalidateProductCache(productId);
+
+    addEvent('product.updated', { product_id: productId, fields: columns.join(',') });
+    return result.rows[0];
+  });
+}
+
+/**
+ * Soft-delete a product: it disappears from the catalog and can no longer be
+ * ordered, but past order_items keep pointing at it
+ */
+export async function deleteProduct(productId) {
+  return withSpan('product.delete', async (span) => {
+    span.setAttribute('product.id', productId);
+
+    const result = await query(
+      `UPDATE products
+       SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id, sku, deleted_at`,
+      [productId]
+    );
+
+    if (result.rows.length === 0) {
+      throw productNotFound(productId);
+    }
+
+    await invalidateProductCache(productId);
+
+    const product = result.rows[0];
+    logger.info('Product deleted', { 'product.id': productId, 'product.sku': product.sku });
+
+    return product;
+  });
+}
+
+/**
+ * Get a product that has not been deleted
+ */
+export async function getProduct(productId) {
+  const result = await query(
+    `SELECT ${PRODUCT_COLUMNS} FROM products WHERE id = $1 AND deleted_at IS NULL`,
+    [productId]
+  );
+
+  if (result.rows.length === 0) {
+    throw productNotFound(productId);
+  }
+
+  return result.rows[0];
+}
+
+export default {
+  EDITABLE_FIELDS,
+  DEFAULT_WEIGHT_GRAMS,
+  SORTS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_TAG_FILTERS,
+  listProducts,
+  MAX_SEARCH_PAGE_SIZE,
+  toPrefixTsQuery,
+  searchProducts,
+  SUGGEST_SIMILARITY_THRESHOLD,
+  SUGGEST_CACHE_PREFIX,
+  suggestProducts,
+  getProductsByIds,
+  getVariantsByIds,
+  getProductVariants,
+  getItemCatalog,
+  variantRequired,
+  variantNotFound,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+};
@@ -0,0 +1,141 @@
+import { query, withTransaction } from './database.js';
+import * as cache from './cache.js';
+import * as payment from './payment.js';
+import * as paymentRecords from './paymentRecords.js';
+import { PaymentStatus, transitionOrder } from './orderStatus.js';
+import { withSpan, addEvent } from '../utils/tracer.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Refunds owed on cancelled orders
+ *
+ * Cancelling a paid order marks its payment refund_pending inside the cancel
+ * transaction, and the gateway is only called once that has committed: a
+ * failed write can then never roll back the record of money already returned.
+ * completeRefund() issues the refund and records it on the payment and the
+ * order; retryPendingRefunds() finishes refunds whose gateway call failed.
+ * The gateway idempotency key (refund-<transaction id>) makes a repeated
+ * refund return the first one, so a retry never refunds twice.
+ *
+ * The order saga also records refund_pending for a charge it could neither
+ * persist nor refund; that charge is not the order's payment, so refunding it
+ * leaves the order's payment_status alone.
+ */
+
+export const REFUND_PENDING = 'refund_pending';
+
+// Left to the cancel request for this long before the background retry picks it up
+const REFUND_RETRY_GRACE_SECONDS = 30;
+
+/**
+ * Mark a captured payment as owed a refund (inside the cancel transaction)
+ */
+export async function markRefundPending(client, transactionId) {
+  await client.query(
+    `UPDATE payments
+     SET status = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE transaction_id = $2 AND status = 'captured'`,
+    [REFUND_PENDING, transactionId]
+  );
+
+  addEvent('payment.refund_pending', { transaction_id: transactionId });
+}
+
+/**
+ * Refund a pending payment at the gateway, then record it
+ * Returns the gateway's refund; recording is skipped if another run got there first.
+ */
+export async function completeRefund({ orderId, transactionId, amount }) {
+  return withSpan('payment.refund_complete', async (span) => {
+    span.setAttributes({ 'order.id': orderId, 'payment.transaction_id': transactionId });
+
+    const refund = await payment.refundPayment(transactionId, amount);
+
+    const recorded = await withTransaction(async (client) => {
+      const pending = await client.query(
+        `SELECT p.id, o.payment_transaction_id = p.transaction_id AS order_payment
+         FROM payments p
+         JOIN orders o ON o.id = p.order_id
+         WHERE p.transaction_id = $1 AND p.status = $2
+         FOR UPDATE OF p`,
+        [transactionId, REFUND_PENDING]
+      );
+
+      if (pending.rows.length === 0) {
+        return false;
+      }
+
+      await paymentRecords.recordRefund(transactionId, refund.refundId, client);
+      if (pending.rows[0].order_payment) {
+        await transitionOrder(client, orderId, {
+          paymentStatus: PaymentStatus.REFUNDED,
+          reason: 'refund_completed',
+        });
+      }
+      return true;
+    });
+
+    if (recorded) {
+      await cache.del(`order:${orderId}`);
+    }
+
+    span.setAttributes({ 'payment.refund_id': refund.refundId, 'payment.refund_recorded': recorded });
+    addEvent('order.payment_refunded', {
+      order_id: orderId,
+      transaction_id: transactionId,
+      refund_id: refund.refundId,
+    });
+
+    return refund;
+  });
+}
+
+/**
+ * Retry refunds still pending after their cancel request (e.g. the gateway was down)
+ */
+export async function retryPendingRefunds() {
+  return withSpan('payment.refund_retry', async (span) => {
+    const result = await query(
+      `SELECT order_id, transaction_id, amount
+       FROM payments
+       WHERE status = $1 AND updated_at < CURRENT_TIMESTAMP - make_interval(secs => $2)
+       ORDER BY id`,
+      [REFUND_PENDING, REFUND_RETRY_GRACE_SECONDS]
+    );
+
+    const summary = { found: result.rows.length, refunded: 0, failed: 0 };
+
+    for (const row of result.rows) {
+      try {
+        await completeRefund({
+          orderId: row.order_id,
+          transactionId: row.transaction_id,
+          amount: parseFloat(row.amount),
+        });
+        summary.refunded++;
+      } catch (error) {
+        summary.failed++;
+        logger.exception(error, {
+          'order.id': row.order_id,
+          'payment.transaction_id': row.transaction_id,
+          'payment.phase': 'refund_retry',
+        });
+      }
+    }
+
+    span.setAttributes({
+      'payment.refund_retry_found': summary.found,
+      'payment.refund_retry_refunded': summary.refunded,
+      'payment.refund_retry_failed': summary.failed,
+    });
+
+    return summary;
+  });
+}
+
+export default {
+  REFUND_PENDING,
+  markRefundPending,
+  completeRefund,
+  retryPendingRefunds,
+};
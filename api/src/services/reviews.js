@@ -0,0 +1,192 @@
+import { query, withTransaction } from './database.js';
+import * as cache from './cache.js';
+import { OrderStatus } from './orderStatus.js';
+import { withSpan, addEvent } from '../utils/tracer.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Product reviews
+ *
+ * A customer may review a product once, and only after buying it: they need
+ * an order containing the product that was confirmed (it stays eligible once
+ * shipped or delivered). Posting a review updates the product's rating_count,
+ * rating_total and rating_avg in the same transaction, so the aggregates never
+ * need a scan of product_reviews.
+ */
+
+export const DEFAULT_PAGE_SIZE = 10;
+export const MAX_PAGE_SIZE = 50;
+
+// Orders that have been paid for and not cancelled or refunded
+const PURCHASED_STATUSES = [OrderStatus.CONFIRMED, OrderStatus.SHIPPED, OrderStatus.DELIVERED];
+
+const REVIEW_COLUMNS = `r.id, r.product_id, r.user_id, u.name AS user_name, r.rating, r.title,
+  r.body, r.created_at`;
+
+function productNotFound(productId) {
+  const error = new Error(`Product ${productId} not found`);
+  error.code = 'NOT_FOUND';
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Cache key prefix for a product's review pages
+ */
+export function reviewsCachePrefix(productId) {
+  return `reviews:${productId}:`;
+}
+
+async function getRating(productId, db = { query }) {
+  const result = await db.query(
+    'SELECT rating_avg, rating_count FROM products WHERE id = $1 AND deleted_at IS NULL',
+    [productId]
+  );
+
+  if (result.rows.length === 0) {
+    throw productNotFound(productId);
+  }
+
+  const { rating_avg: average, rating_count: count } = result.rows[0];
+  return { average, count };
+}
+
+/**
+ * A page of a product's reviews, newest first, with its rating aggregates
+ */
+export async function listReviews(productId, { limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  return withSpan('product.reviews.list', async (span) => {
+    span.setAttributes({
+      'product.id': productId,
+      'reviews.limit': limit,
+      'reviews.offset': offset,
+    });
+
+    const rating = await getRating(productId);
+
+    const [pageResult, countResult] = await Promise.all([
+      query(
+        `SELECT ${REVIEW_COLUMNS}
+         FROM product_reviews r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.product_id = $1
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT $2 OFFSET $3`,
+        [productId, limit, offset]
+      ),
+      query('SELECT COUNT(*)::int AS total FROM product_reviews WHERE product_id = $1', [
+        productId,
+      ]),
+    ]);
+
+    span.setAttribute('reviews.count', pageResult.rows.length);
+
+    return {
+      reviews: pageResult.rows,
+      total: countResult.rows[0].total,
+      rating,
+    };
+  });
+}
+
+/**
+ * Post a review for a product the user has bought
+ * Returns the review and the product's updated rating.
+ */
+export async function createReview(productId, { userId, rating, title = null, body = null }) {
+  return withSpan('product.review.create', async (span) => {
+    span.setAttributes({ 'product.id': productId, 'user.id': userId, 'review.rating': rating });
+
+    const result = await withTransaction(async (client) => {
+      await getRating(productId, client);
+
+      const purchase = await client.query(
+        `SELECT o.id
+         FROM orders o
+         JOIN order_items oi ON oi.order_id = o.id
+         WHERE o.user_id = $1 AND oi.product_id = $2 AND o.status = ANY($3)
+         LIMIT 1`,
+        [userId, productId, PURCHASED_STATUSES]
+      );
+
+      if (purchase.rows.length === 0) {
+        addEvent('review.rejected', {
+          product_id: productId,
+          user_id: userId,
+          reason: 'not_purchased',
+        });
+
+        const error = new Error(`User ${userId} has no confirmed order for product ${productId}`);
+        error.code = 'REVIEW_NOT_ALLOWED';
+        error.statusCode = 403;
+        throw error;
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO product_reviews (product_id, user_id, rating, title, body)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (product_id, user_id) DO NOTHING
+         RETURNING id`,
+        [productId, userId, rating, title, body]
+      );
+
+      if (inserted.rows.length === 0) {
+        const error = new Error(`User ${userId} has already reviewed product ${productId}`);
+        error.code = 'DUPLICATE_REVIEW';
+        error.statusCode = 409;
+        throw error;
+      }
+
+      // Right-hand sides see the row before the update, so this adds one review to the totals
+      const aggregates = await client.query(
+        `UPDATE products SET
+           rating_count = rating_count + 1,
+           rating_total = rating_total + $2,
+           rating_avg = ROUND((rating_total + $2)::numeric / (rating_count + 1), 2)
+         WHERE id = $1
+         RETURNING rating_avg, rating_count`,
+        [productId, rating]
+      );
+
+      const review = await client.query(
+        `SELECT ${REVIEW_COLUMNS}
+         FROM product_reviews r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.id = $1`,
+        [inserted.rows[0].id]
+      );
+
+      const { rating_avg: average, rating_count: count } = aggregates.rows[0];
+      return { review: review.rows[0], rating: { average, count } };
+    });
+
+    // Review pages, and the product payloads that carry its rating
+    await cache.deletePattern(`${reviewsCachePrefix(productId)}*`);
+    await cache.del(`product:${productId}`);
+    await cache.deletePattern('products:*');
+
+    span.setAttribute('review.id', result.review.id);
+    addEvent('review.created', {
+      product_id: productId,
+      review_id: result.review.id,
+      rating,
+      rating_avg: result.rating.average,
+      rating_count: result.rating.count,
+    });
+    logger.info('Review posted', {
+      'product.id': productId,
+      'review.id': result.review.id,
+      'user.id': userId,
+    });
+
+    return result;
+  });
+}
+
+export default {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  reviewsCachePrefix,
+  listReviews,
+  createReview,
+};
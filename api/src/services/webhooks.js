@@ -0,0 +1,131 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import axios from 'axios';
+
+/**
+ * Signed webhooks
+ *
+ * Signature header: X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ * The HMAC covers "<t>.<raw body>", so the timestamp cannot be swapped out.
+ * Shared by the API (verifying), the simulated gateway and the mock gateway
+ * (signing and delivering); keep it free of app-specific imports.
+ */
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Signatures older (or newer) than this are rejected as possible replays
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function computeSignature(payload, secret, timestamp) {
+  return createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+function signatureError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 401;
+  return error;
+}
+
+/**
+ * Build the signature header value for a payload
+ */
+export function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+}
+
+/**
+ * Check a signature header against the raw request body
+ * Throws a 401 error when the signature is missing, wrong or outside the tolerance
+ */
+export function verifySignature(payload, header, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  if (!header) {
+    throw signatureError(`Missing ${SIGNATURE_HEADER} header`, 'INVALID_WEBHOOK_SIGNATURE');
+  }
+
+  const parts = Object.fromEntries(
+    header.split(',').map((part) => {
+      const [key, ...rest] = part.trim().split('=');
+      return [key, rest.join('=')];
+    })
+  );
+
+  const timestamp = parseInt(parts.t, 10);
+  if (isNaN(timestamp) || !parts.v1) {
+    throw signatureError('Malformed webhook signature', 'INVALID_WEBHOOK_SIGNATURE');
+  }
+
+  const expected = Buffer.from(computeSignature(payload, secret, timestamp));
+  const provided = Buffer.from(parts.v1);
+
+  if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+    throw signatureError('Webhook signature does not match', 'INVALID_WEBHOOK_SIGNATURE');
+  }
+
+  const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+  if (ageSeconds > toleranceSeconds) {
+    throw signatureError(
+      `Webhook timestamp is ${ageSeconds}s away from now (tolerance ${toleranceSeconds}s)`,
+      'WEBHOOK_TIMESTAMP_OUT_OF_RANGE'
+    );
+  }
+
+  return { timestamp, ageSeconds };
+}
+
+/**
+ * Create a webhook event envelope
+ */
+export function createEvent(type, data) {
+  return {
+    id: `evt_${randomUUID()}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+/**
+ * POST a signed event, retrying with backoff while the receiver is down or busy
+ * A 409 means "not ready yet" and is retried; other 4xx answers are final.
+ */
+export async function deliverWebhook(url, event, secret, { maxAttempts = 5, baseDelayMs = 500 } = {}) {
+  const payload = JSON.stringify(event);
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      // Re-signed per attempt so retries carry a fresh timestamp
+      await axios.post(url, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          [SIGNATURE_HEADER]: signPayload(payload, secret),
+        },
+        timeout: 5000,
+      });
+
+      return { delivered: true, attempts: attempt };
+    } catch (error) {
+      const status = error.response?.status;
+
+      if (status && status < 500 && status !== 409) {
+        return { delivered: false, attempts: attempt, status };
+      }
+
+      if (attempt < maxAttempts) {
+        await sleep(baseDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  return { delivered: false, attempts: maxAttempts };
+}
+
+export default {
+  SIGNATURE_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  signPayload,
+  verifySignature,
+  createEvent,
+  deliverWebhook,
+};
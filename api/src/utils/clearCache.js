@@ -17,6 +17,9 @@ async function clearCache() {
     const productCleared = await deletePattern('product:*');
     console.log(`✅ Cleared ${productCleared} individual product cache entries`);
 
+    const suggestCleared = await deletePattern('suggest:*');
+    console.log(`✅ Cleared ${suggestCleared} suggestion cache entries`);
+
     console.log('✨ Cache cleared successfully!');
 
     // Close/clear cache
@@ -22,13 +22,17 @@ const scenarios = {
     return response.data;
   },
 
-  createOrder: async (userId, items, paymentMethod) => {
-    const response = await axios.post(`${API_URL}/api/orders`, {
-      userId,
-      items,
-      paymentMethod,
-    });
-    return response.data;
+  createOrder: async (userId, items, paymentMethod, idempotencyKey) => {
+    const response = await axios.post(
+      `${API_URL}/api/orders`,
+      {
+        userId,
+        items,
+        paymentMethod,
+      },
+      idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : undefined
+    );
+    return response;
   },
 
   getOrder: async (orderId) => {
@@ -36,6 +40,11 @@ const scenarios = {
     return response.data;
   },
 
+  cancelOrder: async (orderId, reason) => {
+    const response = await axios.post(`${API_URL}/api/orders/${orderId}/cancel`, { reason });
+    return response.data;
+  },
+
   getUserOrders: async (userId) => {
     const response = await axios.get(`${API_URL}/api/orders/user/${userId}`);
     return response.data;
@@ -70,7 +79,7 @@ const scenarios = {
       const response = await axios.post(`${API_URL}/api/orders`, {
         userId: 1,
         items: [
-          { productId: 2, quantity: 1 },
+          { productId: 6, quantity: 1 },
         ],
         paymentMethod: 'credit_card',
       });
@@ -137,20 +146,23 @@ async function runLoadTest() {
 
     // 5. Create successful orders
     console.log('🛒 Creating orders...');
+    const createdOrderIds = [];
+    // Products 2, 4 and 5 are sold in variants and need a variantId, so stick to the others
     const orderScenarios = [
       { userId: 1, items: [{ productId: 1, quantity: 1 }], paymentMethod: 'credit_card' },
-      { userId: 2, items: [{ productId: 2, quantity: 2 }, { productId: 3, quantity: 1 }], paymentMethod: 'debit_card' },
-      { userId: 3, items: [{ productId: 4, quantity: 1 }], paymentMethod: 'paypal' },
+      { userId: 2, items: [{ productId: 6, quantity: 2 }, { productId: 3, quantity: 1 }], paymentMethod: 'debit_card' },
+      { userId: 3, items: [{ productId: 7, quantity: 1 }], paymentMethod: 'paypal' },
     ];
 
     for (const orderData of orderScenarios) {
       try {
-        const order = await scenarios.createOrder(
+        const { data: order } = await scenarios.createOrder(
           orderData.userId,
           orderData.items,
           orderData.paymentMethod
         );
         console.log(`   ✅ Order ${order.order.id}: $${order.order.total_amount} - ${order.order.status}`);
+        createdOrderIds.push(order.order.id);
         stats.total++;
         stats.success++;
       } catch (error) {
@@ -177,7 +189,49 @@ async function runLoadTest() {
 
     await delay(500);
 
-    // 7. Test error scenarios
+    // 7. Re-send an order with the same Idempotency-Key (should replay, not charge twice)
+    console.log('🔁 Re-sending an order with the same Idempotency-Key...');
+    const idempotencyKey = `loadtest-${Date.now()}`;
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      try {
+        const response = await scenarios.createOrder(
+          1,
+          [{ productId: 9, quantity: 1 }],
+          'credit_card',
+          idempotencyKey
+        );
+        const replayed = response.headers['idempotent-replayed'] === 'true';
+        console.log(`   ✅ Attempt ${attempt}: order ${response.data.order.id} (replayed: ${replayed})`);
+        stats.success++;
+      } catch (error) {
+        console.log(`   ❌ Attempt ${attempt}: ${error.response?.data?.error?.message || error.message}`);
+        stats.errors++;
+      }
+      stats.total++;
+      await delay(200);
+    }
+    console.log('');
+
+    await delay(500);
+
+    // 8. Cancel an order (refund + inventory release)
+    if (createdOrderIds.length > 0) {
+      console.log('↩️  Cancelling an order...');
+      try {
+        const cancelled = await scenarios.cancelOrder(createdOrderIds[0], 'changed_mind');
+        console.log(`   ✅ Order ${cancelled.order.id}: ${cancelled.order.status}`);
+        stats.success++;
+      } catch (error) {
+        console.log(`   ❌ Cancel failed: ${error.response?.data?.error?.message || error.message}`);
+        stats.errors++;
+      }
+      stats.total++;
+      console.log('');
+
+      await delay(500);
+    }
+
+    // 9. Test error scenarios
     console.log('⚠️  Testing error scenarios...');
 
     // Invalid product
@@ -214,7 +268,7 @@ async function runLoadTest() {
     }
     console.log('');
 
-    // 8. Concurrent requests
+    // 10. Concurrent requests
     console.log('🚀 Running concurrent requests...');
     const concurrentRequests = [];
     for (let i = 1; i <= 10; i++) {
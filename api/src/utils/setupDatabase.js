@@ -10,6 +10,20 @@ const pool = new Pool({
 });
 
 const schema = `
+-- Trigram matching for typo-tolerant suggestions
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Categories (a tree: parent_id is NULL for top-level categories)
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  slug VARCHAR(100) UNIQUE NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  parent_id INTEGER REFERENCES categories(id),
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Products table
 CREATE TABLE IF NOT EXISTS products (
   id SERIAL PRIMARY KEY,
@@ -18,11 +32,53 @@ CREATE TABLE IF NOT EXISTS products (
   description TEXT,
   price DECIMAL(10, 2) NOT NULL,
   stock_quantity INTEGER NOT NULL DEFAULT 0,
+  reorder_threshold INTEGER,
+  weight_grams INTEGER NOT NULL DEFAULT 500,
   image_url TEXT,
+  category_id INTEGER REFERENCES categories(id),
+  -- Review aggregates, maintained as reviews are posted (rating_avg = rating_total / rating_count)
+  rating_avg DECIMAL(3, 2),
+  rating_count INTEGER NOT NULL DEFAULT 0,
+  rating_total INTEGER NOT NULL DEFAULT 0,
+  deleted_at TIMESTAMP,
+  -- Full-text search document: name ranks above description
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+  ) STORED,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Product variants (size, color, ...); a product with variants is stocked and
+-- sold per variant, and its stock_quantity is the sum of its variants' stock
+CREATE TABLE IF NOT EXISTS product_variants (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sku VARCHAR(50) UNIQUE NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  attributes JSONB NOT NULL DEFAULT '{}',
+  -- Overrides products.price when set
+  price DECIMAL(10, 2),
+  stock_quantity INTEGER NOT NULL DEFAULT 0,
+  sort_order INTEGER NOT NULL DEFAULT 0,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Tags (flat labels; a product can have any number)
+CREATE TABLE IF NOT EXISTS tags (
+  id SERIAL PRIMARY KEY,
+  slug VARCHAR(100) UNIQUE NOT NULL,
+  name VARCHAR(255) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS product_tags (
+  product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+  tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+  PRIMARY KEY (product_id, tag_id)
+);
+
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
@@ -37,8 +93,17 @@ CREATE TABLE IF NOT EXISTS orders (
   user_id INTEGER REFERENCES users(id),
   status VARCHAR(50) NOT NULL DEFAULT 'pending',
   total_amount DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  exchange_rate NUMERIC(18, 8) NOT NULL DEFAULT 1,
+  subtotal_amount DECIMAL(10, 2),
+  discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  tax_region VARCHAR(10),
+  coupon_code VARCHAR(50),
   payment_method VARCHAR(50),
   payment_status VARCHAR(50) DEFAULT 'pending',
+  payment_transaction_id VARCHAR(100),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -48,16 +113,245 @@ CREATE TABLE IF NOT EXISTS order_items (
   id SERIAL PRIMARY KEY,
   order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
   product_id INTEGER REFERENCES products(id),
+  variant_id INTEGER REFERENCES product_variants(id),
   quantity INTEGER NOT NULL,
   price DECIMAL(10, 2) NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Payments table (one row per gateway charge attempt)
+CREATE TABLE IF NOT EXISTS payments (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+  transaction_id VARCHAR(100) UNIQUE,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  method VARCHAR(50) NOT NULL,
+  status VARCHAR(50) NOT NULL,
+  failure_reason VARCHAR(100),
+  refund_id VARCHAR(100),
+  refunded_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Order status history (every status / payment_status transition)
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  from_payment_status VARCHAR(50),
+  to_payment_status VARCHAR(50),
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Order creation saga state (one row per order) and its append-only step log
+CREATE TABLE IF NOT EXISTS order_sagas (
+  order_id INTEGER PRIMARY KEY REFERENCES orders(id) ON DELETE CASCADE,
+  state VARCHAR(30) NOT NULL,
+  last_error TEXT,
+  trace_context JSONB,
+  -- Set while a request is charging the order; recovery leaves the saga alone until then
+  lease_expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS order_saga_log (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+  step VARCHAR(30) NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  detail TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Inventory movements ledger (every stock change; SUM(quantity_change) = stock_quantity)
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER REFERENCES products(id),
+  variant_id INTEGER REFERENCES product_variants(id),
+  quantity_change INTEGER NOT NULL,
+  reason VARCHAR(30) NOT NULL,
+  reference_type VARCHAR(20),
+  reference_id INTEGER,
+  note TEXT,
+  balance_after INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Inventory holds (stock reserved for a cart until expires_at)
+CREATE TABLE IF NOT EXISTS inventory_holds (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  order_id INTEGER REFERENCES orders(id),
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per product (or variant) held; unique per line, see idx_inventory_hold_items_line
+CREATE TABLE IF NOT EXISTS inventory_hold_items (
+  hold_id INTEGER REFERENCES inventory_holds(id) ON DELETE CASCADE,
+  product_id INTEGER REFERENCES products(id),
+  variant_id INTEGER REFERENCES product_variants(id),
+  quantity INTEGER NOT NULL
+);
+
+-- Idempotency keys for POST /api/orders (stores the final response for replay)
+-- Keys are scoped per user (idx_idempotency_keys_user_key); order_id links the order a claim created
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  key VARCHAR(255) NOT NULL,
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  request_hash CHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
+
+-- Payment webhook events already processed (replay protection)
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  event_id VARCHAR(100) PRIMARY KEY,
+  order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Coupons (fixed values and min_cart_value in BASE_CURRENCY)
+CREATE TABLE IF NOT EXISTS coupons (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(50) UNIQUE NOT NULL,
+  description TEXT,
+  type VARCHAR(20) NOT NULL,
+  value DECIMAL(10, 2) NOT NULL,
+  min_cart_value DECIMAL(10, 2),
+  max_redemptions INTEGER,
+  per_user_limit INTEGER,
+  redemption_count INTEGER NOT NULL DEFAULT 0,
+  starts_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per order that used a coupon
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id SERIAL PRIMARY KEY,
+  coupon_id INTEGER NOT NULL REFERENCES coupons(id),
+  order_id INTEGER UNIQUE NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id),
+  discount_amount DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Product reviews: one per user and product, from a customer who bought it
+CREATE TABLE IF NOT EXISTS product_reviews (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  title VARCHAR(200),
+  body TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (product_id, user_id)
+);
+
+-- Server-side carts (id is a random UUID handed to the client)
+CREATE TABLE IF NOT EXISTS carts (
+  id UUID PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Cart lines; unit_price is the base-currency price when the item was added.
+-- A line is a product or one of its variants, see idx_cart_items_line
+CREATE TABLE IF NOT EXISTS cart_items (
+  cart_id UUID REFERENCES carts(id) ON DELETE CASCADE,
+  product_id INTEGER REFERENCES products(id),
+  variant_id INTEGER REFERENCES product_variants(id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price DECIMAL(10, 2) NOT NULL,
+  added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Columns added after the initial schema (keeps re-runs safe on existing databases)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_transaction_id VARCHAR(100);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_threshold INTEGER;
+ALTER TABLE order_sagas ADD COLUMN IF NOT EXISTS trace_context JSONB;
+ALTER TABLE order_sagas ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18, 8) NOT NULL DEFAULT 1;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS weight_grams INTEGER NOT NULL DEFAULT 500;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+) STORED;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal_amount DECIMAL(10, 2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_region VARCHAR(10);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+ALTER TABLE inventory_hold_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_avg DECIMAL(3, 2);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_total INTEGER NOT NULL DEFAULT 0;
+-- Keys created before they were scoped have no user and simply expire
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id);
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL;
+ALTER TABLE idempotency_keys DROP CONSTRAINT IF EXISTS idempotency_keys_pkey;
+-- Lines used to be keyed by product alone; the unique line indexes below replace these keys
+ALTER TABLE inventory_hold_items DROP CONSTRAINT IF EXISTS inventory_hold_items_pkey;
+ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_pkey;
+
 -- Create indexes
 CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
 CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
 CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
 CREATE INDEX IF NOT EXISTS idx_products_sku ON products(sku);
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_products_category_id ON products(category_id);
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+CREATE INDEX IF NOT EXISTS idx_product_tags_tag_id ON product_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product_created
+  ON product_reviews(product_id, created_at DESC, id DESC);
+-- A product without variants has a NULL variant_id, so key lines on COALESCE(variant_id, 0)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_line
+  ON cart_items(cart_id, product_id, COALESCE(variant_id, 0));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_hold_items_line
+  ON inventory_hold_items(hold_id, product_id, COALESCE(variant_id, 0));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_idempotency_keys_user_key ON idempotency_keys(user_id, key);
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_product_id ON inventory_movements(product_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_holds_active ON inventory_holds(expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_order_sagas_state ON order_sagas(state);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon_user ON coupon_redemptions(coupon_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_carts_order_id ON carts(order_id);
+CREATE INDEX IF NOT EXISTS idx_carts_expires_at ON carts(expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_order_saga_log_order_id ON order_saga_log(order_id);
 `;
 
 const seedData = `
@@ -69,20 +363,175 @@ INSERT INTO users (email, name) VALUES
 ON CONFLICT (email) DO NOTHING;
 
 -- Seed products
-INSERT INTO products (sku, name, description, price, stock_quantity, image_url) VALUES
-  ('LAPTOP-001', 'Premium Laptop', 'High-performance laptop with 16GB RAM', 1299.99, 50, 'https://images.unsplash.com/photo-1496181133206-80ce9b88a853?w=500&h=500&fit=crop'),
-  ('PHONE-001', 'Smartphone Pro', 'Latest smartphone with 5G capability', 899.99, 100, 'https://images.unsplash.com/photo-1511707171634-5f897ff02aa9?w=500&h=500&fit=crop'),
-  ('TABLET-001', 'Tablet Plus', '10-inch tablet with stylus support', 599.99, 75, 'https://images.unsplash.com/photo-1561154464-82e9adf32764?w=500&h=500&fit=crop'),
-  ('HEADPHONE-001', 'Wireless Headphones', 'Noise-canceling over-ear headphones', 249.99, 200, 'https://images.unsplash.com/photo-1505740420928-5e560c06d30e?w=500&h=500&fit=crop'),
-  ('WATCH-001', 'Smart Watch', 'Fitness tracking smartwatch', 349.99, 150, 'https://images.unsplash.com/photo-1523275335684-37898b6baf30?w=500&h=500&fit=crop'),
-  ('KEYBOARD-001', 'Mechanical Keyboard', 'RGB backlit mechanical keyboard', 129.99, 80, 'https://images.unsplash.com/photo-1595225476474-87563907a212?w=800&h=600'),
-  ('MOUSE-001', 'Gaming Mouse', 'Wireless gaming mouse with RGB', 79.99, 120, 'https://images.unsplash.com/photo-1563297007-0686b7003af7?w=800&h=600'),
-  ('MONITOR-001', '4K Monitor', '27-inch 4K IPS display', 499.99, 40, 'https://images.unsplash.com/photo-1527443224154-c4a3942d3acf?w=800&h=600'),
-  ('SPEAKER-001', 'Bluetooth Speaker', 'Portable waterproof speaker', 89.99, 180, 'https://images.unsplash.com/photo-1589492477829-5e65395b66cc?w=800&h=600'),
-  ('CAMERA-001', 'Digital Camera', 'Mirrorless camera with 24MP sensor', 1499.99, 30, 'https://images.unsplash.com/photo-1526170375885-4d8ecf77b99f?w=500&h=500&fit=crop')
+INSERT INTO products (sku, name, description, price, stock_quantity, weight_grams, image_url) VALUES
+  ('LAPTOP-001', 'Premium Laptop', 'High-performance laptop with 16GB RAM', 1299.99, 50, 1800, 'https://images.unsplash.com/photo-1496181133206-80ce9b88a853?w=500&h=500&fit=crop'),
+  ('PHONE-001', 'Smartphone Pro', 'Latest smartphone with 5G capability', 899.99, 100, 200, 'https://images.unsplash.com/photo-1511707171634-5f897ff02aa9?w=500&h=500&fit=crop'),
+  ('TABLET-001', 'Tablet Plus', '10-inch tablet with stylus support', 599.99, 75, 500, 'https://images.unsplash.com/photo-1561154464-82e9adf32764?w=500&h=500&fit=crop'),
+  ('HEADPHONE-001', 'Wireless Headphones', 'Noise-canceling over-ear headphones', 249.99, 200, 300, 'https://images.unsplash.com/photo-1505740420928-5e560c06d30e?w=500&h=500&fit=crop'),
+  ('WATCH-001', 'Smart Watch', 'Fitness tracking smartwatch', 349.99, 150, 50, 'https://images.unsplash.com/photo-1523275335684-37898b6baf30?w=500&h=500&fit=crop'),
+  ('KEYBOARD-001', 'Mechanical Keyboard', 'RGB backlit mechanical keyboard', 129.99, 80, 900, 'https://images.unsplash.com/photo-1595225476474-87563907a212?w=800&h=600'),
+  ('MOUSE-001', 'Gaming Mouse', 'Wireless gaming mouse with RGB', 79.99, 120, 100, 'https://images.unsplash.com/photo-1563297007-0686b7003af7?w=800&h=600'),
+  ('MONITOR-001', '4K Monitor', '27-inch 4K IPS display', 499.99, 40, 6500, 'https://images.unsplash.com/photo-1527443224154-c4a3942d3acf?w=800&h=600'),
+  ('SPEAKER-001', 'Bluetooth Speaker', 'Portable waterproof speaker', 89.99, 180, 600, 'https://images.unsplash.com/photo-1589492477829-5e65395b66cc?w=800&h=600'),
+  ('CAMERA-001', 'Digital Camera', 'Mirrorless camera with 24MP sensor', 1499.99, 30, 700, 'https://images.unsplash.com/photo-1526170375885-4d8ecf77b99f?w=500&h=500&fit=crop')
 ON CONFLICT (sku) DO UPDATE SET
   image_url = EXCLUDED.image_url,
+  weight_grams = EXCLUDED.weight_grams,
   updated_at = CURRENT_TIMESTAMP;
+
+-- Seed categories: top level first, then children by parent slug
+INSERT INTO categories (slug, name, description, sort_order) VALUES
+  ('computing', 'Computing', 'Computers, displays and peripherals', 1),
+  ('mobile', 'Mobile', 'Phones and wearables', 2),
+  ('audio', 'Audio', 'Headphones and speakers', 3),
+  ('cameras', 'Cameras', 'Digital cameras', 4)
+ON CONFLICT (slug) DO NOTHING;
+
+INSERT INTO categories (slug, name, parent_id, sort_order)
+SELECT v.slug, v.name, parent.id, v.sort_order
+FROM (VALUES
+  ('laptops', 'Laptops', 'computing', 1),
+  ('tablets', 'Tablets', 'computing', 2),
+  ('monitors', 'Monitors', 'computing', 3),
+  ('peripherals', 'Keyboards & Mice', 'computing', 4),
+  ('phones', 'Phones', 'mobile', 1),
+  ('wearables', 'Wearables', 'mobile', 2),
+  ('headphones', 'Headphones', 'audio', 1),
+  ('speakers', 'Speakers', 'audio', 2)
+) AS v(slug, name, parent_slug, sort_order)
+JOIN categories parent ON parent.slug = v.parent_slug
+ON CONFLICT (slug) DO NOTHING;
+
+-- Put the sample products into categories (only if not already categorized)
+UPDATE products p
+SET category_id = c.id
+FROM (VALUES
+  ('LAPTOP-001', 'laptops'),
+  ('PHONE-001', 'phones'),
+  ('TABLET-001', 'tablets'),
+  ('HEADPHONE-001', 'headphones'),
+  ('WATCH-001', 'wearables'),
+  ('KEYBOARD-001', 'peripherals'),
+  ('MOUSE-001', 'peripherals'),
+  ('MONITOR-001', 'monitors'),
+  ('SPEAKER-001', 'speakers'),
+  ('CAMERA-001', 'cameras')
+) AS v(sku, category_slug)
+JOIN categories c ON c.slug = v.category_slug
+WHERE p.sku = v.sku AND p.category_id IS NULL;
+
+-- Seed tags
+INSERT INTO tags (slug, name) VALUES
+  ('wireless', 'Wireless'),
+  ('gaming', 'Gaming'),
+  ('portable', 'Portable'),
+  ('rgb', 'RGB'),
+  ('5g', '5G'),
+  ('4k', '4K'),
+  ('fitness', 'Fitness'),
+  ('waterproof', 'Waterproof'),
+  ('noise-canceling', 'Noise-canceling')
+ON CONFLICT (slug) DO NOTHING;
+
+INSERT INTO product_tags (product_id, tag_id)
+SELECT p.id, t.id
+FROM (VALUES
+  ('LAPTOP-001', 'portable'),
+  ('PHONE-001', '5g'),
+  ('PHONE-001', 'wireless'),
+  ('TABLET-001', 'portable'),
+  ('HEADPHONE-001', 'wireless'),
+  ('HEADPHONE-001', 'noise-canceling'),
+  ('WATCH-001', 'wireless'),
+  ('WATCH-001', 'fitness'),
+  ('KEYBOARD-001', 'gaming'),
+  ('KEYBOARD-001', 'rgb'),
+  ('MOUSE-001', 'gaming'),
+  ('MOUSE-001', 'rgb'),
+  ('MOUSE-001', 'wireless'),
+  ('MONITOR-001', '4k'),
+  ('MONITOR-001', 'gaming'),
+  ('SPEAKER-001', 'wireless'),
+  ('SPEAKER-001', 'portable'),
+  ('SPEAKER-001', 'waterproof'),
+  ('CAMERA-001', 'portable')
+) AS v(sku, tag_slug)
+JOIN products p ON p.sku = v.sku
+JOIN tags t ON t.slug = v.tag_slug
+ON CONFLICT DO NOTHING;
+
+-- Seed coupons
+INSERT INTO coupons (code, description, type, value, min_cart_value, max_redemptions, per_user_limit) VALUES
+  ('WELCOME10', '10% off your first order', 'percentage', 10, NULL, NULL, 1),
+  ('SAVE20', '20.00 off orders of 100.00 or more', 'fixed', 20, 100, NULL, NULL),
+  ('FIRST50', '50% off for the first customer only', 'percentage', 50, NULL, 1, NULL)
+ON CONFLICT (code) DO NOTHING;
+
+-- Opening ledger balance for products that have no movements yet
+INSERT INTO inventory_movements (product_id, quantity_change, reason, balance_after)
+SELECT p.id, p.stock_quantity, 'initial', p.stock_quantity
+FROM products p
+WHERE NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.product_id = p.id);
+
+-- Seed variants (price NULL = the product's price)
+INSERT INTO product_variants (product_id, sku, name, attributes, price, stock_quantity, sort_order)
+SELECT p.id, v.sku, v.name, v.attributes::jsonb, v.price, v.stock_quantity, v.sort_order
+FROM (VALUES
+  ('PHONE-001', 'PHONE-001-128', '128 GB', '{"storage": "128 GB"}', NULL, 60, 1),
+  ('PHONE-001', 'PHONE-001-256', '256 GB', '{"storage": "256 GB"}', 999.99, 40, 2),
+  ('WATCH-001', 'WATCH-001-BLK', 'Black', '{"color": "Black"}', NULL, 60, 1),
+  ('WATCH-001', 'WATCH-001-SLV', 'Silver', '{"color": "Silver"}', NULL, 50, 2),
+  ('WATCH-001', 'WATCH-001-GLD', 'Gold', '{"color": "Gold"}', 379.99, 40, 3),
+  ('HEADPHONE-001', 'HEADPHONE-001-BLK', 'Black', '{"color": "Black"}', NULL, 120, 1),
+  ('HEADPHONE-001', 'HEADPHONE-001-WHT', 'White', '{"color": "White"}', NULL, 80, 2)
+) AS v(product_sku, sku, name, attributes, price, stock_quantity, sort_order)
+JOIN products p ON p.sku = v.product_sku
+ON CONFLICT (sku) DO NOTHING;
+
+-- A product's variants hold all of its stock: move the opening stock recorded against the
+-- product itself out of the ledger before its variants get their own opening balances
+WITH unassigned AS (
+  SELECT p.id, p.stock_quantity, SUM(m.quantity_change)::int AS quantity
+  FROM products p
+  JOIN inventory_movements m ON m.product_id = p.id AND m.variant_id IS NULL
+  WHERE EXISTS (
+    SELECT 1 FROM product_variants v
+    WHERE v.product_id = p.id
+      AND NOT EXISTS (SELECT 1 FROM inventory_movements vm WHERE vm.variant_id = v.id)
+  )
+  GROUP BY p.id
+  HAVING SUM(m.quantity_change) <> 0
+), moved AS (
+  UPDATE products p
+  SET stock_quantity = p.stock_quantity - unassigned.quantity, updated_at = CURRENT_TIMESTAMP
+  FROM unassigned
+  WHERE p.id = unassigned.id
+)
+INSERT INTO inventory_movements (product_id, quantity_change, reason, note, balance_after)
+SELECT id, -quantity, 'correction', 'Opening stock moved to its variants', stock_quantity - quantity
+FROM unassigned;
+
+-- Opening ledger balance for variants that have no movements yet; each one also adds to its
+-- product, so a variant product's stock stays the sum of its variants
+WITH opening AS (
+  SELECT v.id, v.product_id, v.stock_quantity,
+         SUM(v.stock_quantity) OVER (PARTITION BY v.product_id ORDER BY v.sort_order, v.id)::int
+           AS running,
+         SUM(v.stock_quantity) OVER (PARTITION BY v.product_id)::int AS total
+  FROM product_variants v
+  WHERE NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.variant_id = v.id)
+), stocked AS (
+  UPDATE products p
+  SET stock_quantity = p.stock_quantity + totals.total, updated_at = CURRENT_TIMESTAMP
+  FROM (SELECT DISTINCT product_id, total FROM opening) totals
+  WHERE p.id = totals.product_id
+)
+-- Every sub-statement sees products as they were before the UPDATE above
+INSERT INTO inventory_movements (product_id, variant_id, quantity_change, reason, balance_after)
+SELECT o.product_id, o.id, o.stock_quantity, 'initial', p.stock_quantity + o.running
+FROM opening o
+JOIN products p ON p.id = o.product_id
+ORDER BY o.product_id, o.running, o.id;
 `;
 
 async function setupDatabase() {
@@ -1,4 +1,4 @@
-import { trace, context, SpanStatusCode } from '@opentelemetry/api';
+import { trace, context, propagation, ROOT_CONTEXT, SpanStatusCode } from '@opentelemetry/api';
 
 // Get the tracer for manual instrumentation
 const tracer = trace.getTracer('sentry-build-otlp-workshop-api', '1.0.0');
@@ -29,6 +29,49 @@ export async function withSpan(name, fn, attributes = {}) {
   });
 }
 
+/**
+ * Like withSpan, but linked to earlier spans instead of parented by them
+ * Used when work resumes asynchronously, e.g. a webhook for an order whose
+ * original request trace has long finished.
+ * @param {string} name - Span name
+ * @param {Object[]} carriers - Propagation carriers from captureTraceContext()
+ * @param {Function} fn - Function to execute within the span
+ * @returns {Promise<*>} - Result of the function
+ */
+export async function withLinkedSpan(name, carriers, fn) {
+  const links = carriers
+    .map((carrier) => trace.getSpanContext(propagation.extract(ROOT_CONTEXT, carrier)))
+    .filter(Boolean)
+    .map((spanContext) => ({ context: spanContext }));
+
+  return tracer.startActiveSpan(name, { links }, async (span) => {
+    try {
+      const result = await fn(span);
+      span.setStatus({ code: SpanStatusCode.OK });
+      return result;
+    } catch (error) {
+      span.setStatus({
+        code: SpanStatusCode.ERROR,
+        message: error.message,
+      });
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Serialize the active trace context (traceparent/tracestate) for storage
+ * @returns {Object} - Propagation carrier
+ */
+export function captureTraceContext() {
+  const carrier = {};
+  propagation.inject(context.active(), carrier);
+  return carrier;
+}
+
 /**
  * Add an event to the current active span
  * @param {string} name - Event name
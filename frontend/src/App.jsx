@@ -1,42 +1,112 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import Header from './components/Header';
 import ProductList from './pages/ProductList';
 import ProductDetail from './pages/ProductDetail';
 import Checkout from './pages/Checkout';
+import {
+  createCart,
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+} from './api/client';
 import './App.css';
 
+// The cart lives on the server; only its id is kept in the browser
+const CART_ID_KEY = 'cartId';
+// Errors meaning the saved cart can no longer be used
+const CART_GONE_CODES = ['CART_NOT_FOUND', 'CART_EXPIRED', 'CART_CHECKED_OUT'];
+
+function toCartItems(cart) {
+  return cart.items.map(item => ({
+    id: `${item.productId}:${item.variantId ?? ''}`,
+    productId: item.productId,
+    variantId: item.variantId,
+    name: item.name,
+    variantName: item.variantName,
+    sku: item.sku,
+    price: item.currentPrice,
+    quantity: item.quantity,
+  }));
+}
+
 function App() {
+  const [cartId, setCartId] = useState(() => localStorage.getItem(CART_ID_KEY));
   const [cartItems, setCartItems] = useState([]);
+  // Cart prices come back in this currency
+  const [cartCurrency, setCartCurrency] = useState();
+
+  function applyCart(cart) {
+    localStorage.setItem(CART_ID_KEY, cart.id);
+    setCartId(cart.id);
+    setCartItems(toCartItems(cart));
+    setCartCurrency(cart.currency);
+  }
+
+  function forgetCart() {
+    localStorage.removeItem(CART_ID_KEY);
+    setCartId(null);
+    setCartItems([]);
+  }
+
+  // Restore the saved cart; drop the id once it has expired or been checked out
+  useEffect(() => {
+    const savedId = localStorage.getItem(CART_ID_KEY);
+    if (!savedId) return;
 
-  function addToCart(product) {
-    setCartItems(prev => {
-      const existing = prev.find(item => item.id === product.id);
-      if (existing) {
-        return prev.map(item =>
-          item.id === product.id
-            ? { ...item, quantity: item.quantity + product.quantity }
-            : item
-        );
+    getCart(savedId)
+      .then(cart => (cart.status === 'active' ? applyCart(cart) : forgetCart()))
+      .catch(err => {
+        if (err.status === 400 || CART_GONE_CODES.includes(err.code)) {
+          forgetCart();
+        } else {
+          console.error('Failed to load cart:', err);
+        }
+      });
+  }, []);
+
+  async function addToCart(product) {
+    const item = {
+      productId: product.id,
+      variantId: product.variantId ?? null,
+      quantity: product.quantity,
+    };
+
+    try {
+      applyCart(
+        cartId
+          ? await addCartItem(cartId, item)
+          : await createCart({ items: [item] })
+      );
+    } catch (err) {
+      // The saved cart is gone; start a new one with this item
+      if (cartId && CART_GONE_CODES.includes(err.code)) {
+        applyCart(await createCart({ items: [item] }));
+      } else {
+        throw err;
       }
-      return [...prev, product];
-    });
+    }
   }
 
-  function updateQuantity(productId, quantity) {
-    setCartItems(prev =>
-      prev.map(item =>
-        item.id === productId ? { ...item, quantity } : item
-      )
-    );
+  async function updateQuantity(item, quantity) {
+    try {
+      applyCart(await updateCartItem(cartId, item, quantity));
+    } catch (err) {
+      console.error('Failed to update cart:', err);
+    }
   }
 
-  function removeFromCart(productId) {
-    setCartItems(prev => prev.filter(item => item.id !== productId));
+  async function removeFromCart(item) {
+    try {
+      applyCart(await removeCartItem(cartId, item));
+    } catch (err) {
+      console.error('Failed to update cart:', err);
+    }
   }
 
   function clearCart() {
-    setCartItems([]);
+    forgetCart();
   }
 
   const cartCount = cartItems.reduce((sum, item) => sum + item.quantity, 0);
@@ -56,7 +126,9 @@ function App() {
               path="/cart"
               element={
                 <Checkout
+                  cartId={cartId}
                   cartItems={cartItems}
+                  cartCurrency={cartCurrency}
                   onUpdateQuantity={updateQuantity}
                   onRemove={removeFromCart}
                   onClearCart={clearCart}
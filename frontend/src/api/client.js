@@ -1,13 +1,28 @@
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
-export async function getProducts() {
-  const response = await fetch(`${API_BASE}/products`);
+// Pass the previous page's nextCursor as cursor to get the next page
+export async function getProducts({ category, tags = [], cursor } = {}) {
+  const params = new URLSearchParams();
+  if (category) params.set('category', category);
+  if (tags.length > 0) params.set('tag', tags.join(','));
+  if (cursor) params.set('cursor', cursor);
+
+  const response = await fetch(`${API_BASE}/products?${params}`);
   if (!response.ok) {
     throw new Error('Failed to fetch products');
   }
   return response.json();
 }
 
+export async function getCategories() {
+  const response = await fetch(`${API_BASE}/categories`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch categories');
+  }
+  const data = await response.json();
+  return data.categories;
+}
+
 export async function getProduct(id) {
   const response = await fetch(`${API_BASE}/products/${id}`);
   if (!response.ok) {
@@ -16,27 +31,80 @@ export async function getProduct(id) {
   return response.json();
 }
 
-export async function searchProducts(query) {
-  const response = await fetch(`${API_BASE}/products/search?q=${encodeURIComponent(query)}`);
+export async function searchProducts(query, { limit, offset } = {}) {
+  const params = new URLSearchParams({ q: query });
+  if (limit) params.set('limit', limit);
+  if (offset) params.set('offset', offset);
+
+  const response = await fetch(`${API_BASE}/products/search/query?${params}`);
   if (!response.ok) {
     throw new Error('Failed to search products');
   }
   return response.json();
 }
 
-export async function createOrder(orderData) {
+export async function createOrder(orderData, { idempotencyKey } = {}) {
   const response = await fetch(`${API_BASE}/orders`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
+      ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
     },
     body: JSON.stringify(orderData),
   });
 
   if (!response.ok) {
     const error = await response.json();
-    throw new Error(error.error || 'Failed to create order');
+    throw new Error(error.error?.message || 'Failed to create order');
   }
 
   return response.json();
 }
+
+async function cartRequest(path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${API_BASE}/carts${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error?.message || 'Cart request failed');
+    error.status = response.status;
+    error.code = data.error?.code;
+    throw error;
+  }
+
+  const data = await response.json();
+  return data.cart;
+}
+
+export function createCart(cartData = {}) {
+  return cartRequest('', { method: 'POST', body: cartData });
+}
+
+export function getCart(cartId) {
+  return cartRequest(`/${cartId}`);
+}
+
+// A cart line is a product, or one variant of it: { productId, variantId }
+function itemPath(cartId, { productId, variantId }) {
+  const query = variantId != null ? `?variantId=${variantId}` : '';
+  return `/${cartId}/items/${productId}${query}`;
+}
+
+export function addCartItem(cartId, { productId, variantId = null, quantity }) {
+  return cartRequest(`/${cartId}/items`, {
+    method: 'POST',
+    body: { productId, variantId, quantity },
+  });
+}
+
+export function updateCartItem(cartId, line, quantity) {
+  return cartRequest(itemPath(cartId, line), { method: 'PATCH', body: { quantity } });
+}
+
+export function removeCartItem(cartId, line) {
+  return cartRequest(itemPath(cartId, line), { method: 'DELETE' });
+}
@@ -1,4 +1,6 @@
-export default function Cart({ items, onUpdateQuantity, onRemove }) {
+import { formatPrice } from '../utils/price';
+
+export default function Cart({ items, currency, onUpdateQuantity, onRemove }) {
   const total = items.reduce((sum, item) => sum + (parseFloat(item.price) * item.quantity), 0);
 
   return (
@@ -13,26 +15,27 @@ export default function Cart({ items, onUpdateQuantity, onRemove }) {
             <div key={item.id} className="cart-item">
               <div className="cart-item-info">
                 <h4>{item.name}</h4>
-                <p className="cart-item-price">${item.price} each</p>
+                {item.variantName && <p className="cart-item-variant">{item.variantName}</p>}
+                <p className="cart-item-price">{formatPrice(item.price, currency)} each</p>
               </div>
               <div className="cart-item-actions">
                 <div className="quantity-controls">
                   <button
-                    onClick={() => onUpdateQuantity(item.id, Math.max(1, item.quantity - 1))}
+                    onClick={() => onUpdateQuantity(item, Math.max(1, item.quantity - 1))}
                     className="qty-btn"
                   >
                     −
                   </button>
                   <span className="quantity">{item.quantity}</span>
                   <button
-                    onClick={() => onUpdateQuantity(item.id, item.quantity + 1)}
+                    onClick={() => onUpdateQuantity(item, item.quantity + 1)}
                     className="qty-btn"
                   >
                     +
                   </button>
                 </div>
                 <button
-                  onClick={() => onRemove(item.id)}
+                  onClick={() => onRemove(item)}
                   className="remove-btn"
                 >
                   Remove
@@ -41,7 +44,7 @@ export default function Cart({ items, onUpdateQuantity, onRemove }) {
             </div>
           ))}
           <div className="cart-total">
-            <strong>Total: ${total.toFixed(2)}</strong>
+            <strong>Total: {formatPrice(total, currency)}</strong>
           </div>
         </>
       )}
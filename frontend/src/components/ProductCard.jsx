@@ -1,4 +1,5 @@
 import { Link } from 'react-router-dom';
+import { formatPrice } from '../utils/price';
 
 export default function ProductCard({ product }) {
   return (
@@ -16,7 +17,7 @@ export default function ProductCard({ product }) {
         <h3 className="product-name">{product.name}</h3>
         <p className="product-description">{product.description}</p>
         <div className="product-footer">
-          <span className="product-price">${product.price}</span>
+          <span className="product-price">{formatPrice(product.price, product.currency)}</span>
           <span className="product-stock">
             {product.stock_quantity > 0 ? (
               <span className="in-stock">In Stock ({product.stock_quantity})</span>
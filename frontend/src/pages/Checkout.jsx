@@ -1,14 +1,33 @@
-import { useState } from 'react';
+import { useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Cart from '../components/Cart';
 import { createOrder } from '../api/client';
-
-export default function Checkout({ cartItems, onUpdateQuantity, onRemove, onClearCart }) {
+import { formatPrice } from '../utils/price';
+
+export default function Checkout({
+  cartId,
+  cartItems,
+  cartCurrency,
+  onUpdateQuantity,
+  onRemove,
+  onClearCart,
+}) {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
+  const [awaitingPayment, setAwaitingPayment] = useState(false);
   const [paymentMethod, setPaymentMethod] = useState('credit_card');
+  // Reuse the same key while retrying an unchanged order so the API never charges twice
+  const idempotencyRef = useRef(null);
+
+  function getIdempotencyKey(orderData) {
+    const signature = JSON.stringify(orderData);
+    if (!idempotencyRef.current || idempotencyRef.current.signature !== signature) {
+      idempotencyRef.current = { signature, key: crypto.randomUUID() };
+    }
+    return idempotencyRef.current.key;
+  }
 
   const total = cartItems.reduce((sum, item) => sum + (parseFloat(item.price) * item.quantity), 0);
 
@@ -24,17 +43,21 @@ export default function Checkout({ cartItems, onUpdateQuantity, onRemove, onClea
       setLoading(true);
       setError(null);
 
+      // The server-side cart supplies the items
       const orderData = {
         userId: 1, // Demo user
-        items: cartItems.map(item => ({
-          productId: item.id,
-          quantity: item.quantity,
-        })),
+        cartId,
         paymentMethod,
       };
 
-      const result = await createOrder(orderData);
+      // Cart contents are part of the signature: editing the cart means a new order
+      const result = await createOrder(orderData, {
+        idempotencyKey: getIdempotencyKey({ ...orderData, cartItems }),
+      });
 
+      idempotencyRef.current = null;
+      // In async payment mode the order is accepted before the gateway confirms it
+      setAwaitingPayment(result.order?.status === 'awaiting_payment');
       setSuccess(true);
       onClearCart();
 
@@ -54,7 +77,11 @@ export default function Checkout({ cartItems, onUpdateQuantity, onRemove, onClea
       <div className="container">
         <div className="success-message">
           <h2>✓ Order Placed Successfully!</h2>
-          <p>Thank you for your purchase.</p>
+          <p>
+            {awaitingPayment
+              ? 'Your payment is being confirmed. We will update your order shortly.'
+              : 'Thank you for your purchase.'}
+          </p>
           <p>Redirecting to products...</p>
         </div>
       </div>
@@ -71,6 +98,7 @@ export default function Checkout({ cartItems, onUpdateQuantity, onRemove, onClea
         <div className="checkout-cart">
           <Cart
             items={cartItems}
+            currency={cartCurrency}
             onUpdateQuantity={onUpdateQuantity}
             onRemove={onRemove}
           />
@@ -97,7 +125,7 @@ export default function Checkout({ cartItems, onUpdateQuantity, onRemove, onClea
               <div className="checkout-summary">
                 <div className="summary-row">
                   <span>Subtotal:</span>
-                  <span>${total.toFixed(2)}</span>
+                  <span>{formatPrice(total, cartCurrency)}</span>
                 </div>
                 <div className="summary-row">
                   <span>Shipping:</span>
@@ -105,7 +133,7 @@ export default function Checkout({ cartItems, onUpdateQuantity, onRemove, onClea
                 </div>
                 <div className="summary-row total">
                   <strong>Total:</strong>
-                  <strong>${total.toFixed(2)}</strong>
+                  <strong>{formatPrice(total, cartCurrency)}</strong>
                 </div>
               </div>
 
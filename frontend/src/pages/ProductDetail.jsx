@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { getProduct } from '../api/client';
+import { formatPrice } from '../utils/price';
 
 export default function ProductDetail({ onAddToCart }) {
   const { id } = useParams();
@@ -9,7 +10,9 @@ export default function ProductDetail({ onAddToCart }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [quantity, setQuantity] = useState(1);
+  const [variantId, setVariantId] = useState(null);
   const [added, setAdded] = useState(false);
+  const [cartError, setCartError] = useState(null);
 
   useEffect(() => {
     fetchProduct();
@@ -21,6 +24,11 @@ export default function ProductDetail({ onAddToCart }) {
       setError(null);
       const data = await getProduct(id);
       setProduct(data.product);
+      // Start on the first variant that can be bought
+      const variants = data.product.variants || [];
+      const firstInStock = variants.find(variant => variant.stock_quantity > 0) || variants[0];
+      setVariantId(firstInStock ? firstInStock.id : null);
+      setQuantity(1);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -28,11 +36,16 @@ export default function ProductDetail({ onAddToCart }) {
     }
   }
 
-  function handleAddToCart() {
+  async function handleAddToCart() {
     if (product) {
-      onAddToCart({ ...product, quantity });
-      setAdded(true);
-      setTimeout(() => setAdded(false), 2000);
+      try {
+        setCartError(null);
+        await onAddToCart({ ...product, variantId, quantity });
+        setAdded(true);
+        setTimeout(() => setAdded(false), 2000);
+      } catch (err) {
+        setCartError(err.message);
+      }
     }
   }
 
@@ -65,6 +78,15 @@ export default function ProductDetail({ onAddToCart }) {
     );
   }
 
+  // Price, SKU and stock come from the selected variant when the product has them
+  const variants = product.variants || [];
+  const selected = variants.find(variant => variant.id === variantId) || product;
+
+  function selectVariant(variant) {
+    setVariantId(variant.id);
+    setQuantity(1);
+  }
+
   return (
     <div className="container">
       <button onClick={() => navigate('/')} className="back-btn">
@@ -84,23 +106,40 @@ export default function ProductDetail({ onAddToCart }) {
 
         <div className="product-detail-info">
           <h1>{product.name}</h1>
-          <p className="product-sku">SKU: {product.sku}</p>
+          <p className="product-sku">SKU: {selected.sku}</p>
           <p className="product-detail-description">{product.description}</p>
 
+          {variants.length > 0 && (
+            <div className="variant-picker">
+              {variants.map(variant => (
+                <button
+                  key={variant.id}
+                  className={`filter-chip ${variant.id === variantId ? 'active' : ''}`}
+                  onClick={() => selectVariant(variant)}
+                  disabled={variant.stock_quantity === 0}
+                >
+                  {variant.name}
+                </button>
+              ))}
+            </div>
+          )}
+
           <div className="product-detail-price">
             <span className="price-label">Price:</span>
-            <span className="price-value">${product.price}</span>
+            <span className="price-value">
+              {formatPrice(selected.price, selected.currency ?? product.currency)}
+            </span>
           </div>
 
           <div className="product-detail-stock">
-            {product.stock_quantity > 0 ? (
-              <span className="in-stock">✓ In Stock ({product.stock_quantity} available)</span>
+            {selected.stock_quantity > 0 ? (
+              <span className="in-stock">✓ In Stock ({selected.stock_quantity} available)</span>
             ) : (
               <span className="out-of-stock">✗ Out of Stock</span>
             )}
           </div>
 
-          {product.stock_quantity > 0 && (
+          {selected.stock_quantity > 0 && (
             <div className="product-actions">
               <div className="quantity-selector">
                 <label>Quantity:</label>
@@ -113,7 +152,7 @@ export default function ProductDetail({ onAddToCart }) {
                   </button>
                   <span className="quantity">{quantity}</span>
                   <button
-                    onClick={() => setQuantity(Math.min(product.stock_quantity, quantity + 1))}
+                    onClick={() => setQuantity(Math.min(selected.stock_quantity, quantity + 1))}
                     className="qty-btn"
                   >
                     +
@@ -127,6 +166,12 @@ export default function ProductDetail({ onAddToCart }) {
               >
                 {added ? '✓ Added to Cart!' : 'Add to Cart'}
               </button>
+
+              {cartError && (
+                <div className="error-banner">
+                  {cartError}
+                </div>
+              )}
             </div>
           )}
         </div>
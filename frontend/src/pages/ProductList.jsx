@@ -1,45 +1,95 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import ProductCard from '../components/ProductCard';
-import { getProducts } from '../api/client';
+import { getProducts, getCategories } from '../api/client';
 
 export default function ProductList() {
   const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const [facets, setFacets] = useState({ categories: [], tags: [] });
+  const [categories, setCategories] = useState([]);
+  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [selectedTags, setSelectedTags] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Bumped on every first-page fetch so a page of the old filters is never appended
+  const listVersion = useRef(0);
 
   useEffect(() => {
-    fetchProducts();
+    // The grid still works without the category bar
+    getCategories().then(setCategories).catch(() => setCategories([]));
   }, []);
 
-  async function fetchProducts() {
+  const fetchProducts = useCallback(async () => {
+    const version = ++listVersion.current;
     try {
       setLoading(true);
       setError(null);
-      const data = await getProducts();
+      setLoadMoreError(null);
+      const data = await getProducts({ category: selectedCategory, tags: selectedTags });
+      if (version !== listVersion.current) return;
       setProducts(data.products || []);
+      setTotal(data.total ?? 0);
+      setNextCursor(data.nextCursor ?? null);
+      setFacets(data.facets || { categories: [], tags: [] });
+    } catch (err) {
+      if (version === listVersion.current) setError(err.message);
+    } finally {
+      if (version === listVersion.current) setLoading(false);
+    }
+  }, [selectedCategory, selectedTags]);
+
+  async function loadMore() {
+    const version = listVersion.current;
+    try {
+      setLoadingMore(true);
+      setLoadMoreError(null);
+      const data = await getProducts({
+        category: selectedCategory,
+        tags: selectedTags,
+        cursor: nextCursor,
+      });
+      if (version !== listVersion.current) return;
+      setProducts(current => [...current, ...(data.products || [])]);
+      setNextCursor(data.nextCursor ?? null);
     } catch (err) {
-      setError(err.message);
+      if (version === listVersion.current) setLoadMoreError(err.message);
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
   }
 
-  if (loading) {
-    return (
-      <div className="container">
-        <div className="loading">Loading products...</div>
-      </div>
+  useEffect(() => {
+    fetchProducts();
+  }, [fetchProducts]);
+
+  function toggleTag(slug) {
+    setSelectedTags(tags =>
+      tags.includes(slug) ? tags.filter(tag => tag !== slug) : [...tags, slug]
     );
   }
 
-  if (error) {
+  // Facet counts include subcategories and ignore the selected category
+  const categoryCounts = new Map(facets.categories.map(facet => [facet.slug, facet.count]));
+
+  // Subcategories of the selected top-level category (or of its parent)
+  const activeRoot = categories.find(root =>
+    root.slug === selectedCategory || root.children.some(child => child.slug === selectedCategory)
+  );
+
+  function renderCategoryChip(category) {
+    const count = categoryCounts.get(category.slug) ?? 0;
     return (
-      <div className="container">
-        <div className="error">
-          <p>Error loading products: {error}</p>
-          <button onClick={fetchProducts} className="btn-primary">Retry</button>
-        </div>
-      </div>
+      <button
+        key={category.slug}
+        className={`filter-chip ${selectedCategory === category.slug ? 'active' : ''}`}
+        onClick={() => setSelectedCategory(category.slug)}
+        disabled={count === 0}
+      >
+        {category.name} <span className="filter-count">{count}</span>
+      </button>
     );
   }
 
@@ -50,11 +100,66 @@ export default function ProductList() {
         <p>Explore our collection of quality tech products</p>
       </div>
 
-      <div className="products-grid">
-        {products.map(product => (
-          <ProductCard key={product.id} product={product} />
-        ))}
-      </div>
+      {categories.length > 0 && (
+        <div className="filter-bar">
+          <div className="filter-row">
+            <button
+              className={`filter-chip ${selectedCategory === null ? 'active' : ''}`}
+              onClick={() => setSelectedCategory(null)}
+            >
+              All
+            </button>
+            {categories.map(renderCategoryChip)}
+          </div>
+
+          {activeRoot && activeRoot.children.length > 0 && (
+            <div className="filter-row">{activeRoot.children.map(renderCategoryChip)}</div>
+          )}
+
+          {facets.tags.length > 0 && (
+            <div className="filter-row">
+              {facets.tags.map(tag => (
+                <button
+                  key={tag.slug}
+                  className={`filter-chip tag ${selectedTags.includes(tag.slug) ? 'active' : ''}`}
+                  onClick={() => toggleTag(tag.slug)}
+                >
+                  #{tag.name} <span className="filter-count">{tag.count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading products...</div>
+      ) : error ? (
+        <div className="error">
+          <p>Error loading products: {error}</p>
+          <button onClick={fetchProducts} className="btn-primary">Retry</button>
+        </div>
+      ) : products.length === 0 ? (
+        <div className="empty-results">No products match these filters.</div>
+      ) : (
+        <>
+          <div className="products-grid">
+            {products.map(product => (
+              <ProductCard key={product.id} product={product} />
+            ))}
+          </div>
+
+          <div className="load-more">
+            <p>Showing {products.length} of {total} products</p>
+            {loadMoreError && <p className="error">Couldn't load more products: {loadMoreError}</p>}
+            {nextCursor && (
+              <button onClick={loadMore} className="btn-secondary" disabled={loadingMore}>
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </div>
+        </>
+      )}
     </div>
   );
 }
@@ -0,0 +1,10 @@
+// One formatter per currency code, built on first use
+const formatters = new Map();
+
+// Format an amount in the currency the API priced it in (e.g. 12.5, 'EUR' → "€12.50")
+export function formatPrice(amount, currency = 'USD') {
+  if (!formatters.has(currency)) {
+    formatters.set(currency, new Intl.NumberFormat(undefined, { style: 'currency', currency }));
+  }
+  return formatters.get(currency).format(Number(amount));
+}